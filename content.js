@@ -0,0 +1,223 @@
+/*
+  content.js
+  The content manifest for the Birthday Surprise site.
+
+  Everything personal lives here: names, the timeline, the photos, the letter,
+  the surprise and the final message. script.js validates this object on load
+  and renders it into the page, so reusing the site for someone new means
+  editing this one file.
+
+  Notes:
+  - Keep it a plain object assigned to window.BIRTHDAY_CONTENT (no fetch needed,
+    so the page also works when opened straight from disk).
+  - Letter paragraphs are text with light markup; a "\n" inside a paragraph is a
+    line break. *soft* / **strong** / ~handwritten~ / ![alt](src) for a small
+    inline image; a paragraph starting with "# " is a heading. {pause 800} holds
+    the typewriter for 800ms, {speed 0.5} types at half speed until {speed 1}.
+    Put a backslash before * ~ { or ! to type it literally.
+  - Timeline milestones may add a date ('2019', '2019-06' or '2019-06-14'; shown
+    with "N years ago"), a location (with coords: [lat, lng] for an exact map
+    pin), photos (indexes into photos below, opened in the gallery) and tags
+    (single words; each becomes a filter chip above the timeline).
+  - Photo src may be a relative path (e.g. "photos/01.jpg") or a full URL.
+  - Short clips can sit among the photos: { type: 'video', src: 'clips/01.mp4',
+    poster: 'clips/01.jpg', alt: '…', caption: '…' } (poster is optional).
+  - The surprise password and message are only stored encrypted; see
+    tools/encrypt-surprise.js. The visitor's browser never keeps the opened
+    message either: coming back, they type the password again to read it.
+*/
+
+window.BIRTHDAY_CONTENT = {
+  recipient: {
+    name: 'Roshni',
+  },
+
+  sender: {
+    name: '[Your Name]',
+  },
+
+  // Optional starting look: occasion birthday | anniversary | valentine, and
+  // palette romantic | pastel | night | gold (without one, the occasion picks
+  // its own). Visitors can still switch in the footer.
+  theme: {
+    occasion: 'birthday',
+  },
+
+  // Optional countdown gate: until this moment the page shows a countdown and keeps
+  // the story, gallery, letter, surprise, wishes and final sections locked. unlockAt is the
+  // local time in timeZone (an IANA zone name; the visitor's own zone if left out).
+  // Open the page with ?preview to see it unlocked before then.
+  //   countdown: { unlockAt: '2026-10-20T00:00', timeZone: 'Asia/Kolkata' },
+  countdown: null,
+
+  // Optional guided show ("Play the show"): how long each step stays, in ms (0 waits
+  // for the visitor). Steps left out keep their defaults: intro 4000, story 9000,
+  // gallery 24000, letter 90000, games 12000, surprise 0, wishes 15000, final 12000.
+  // The letter and surprise steps move on earlier once they are finished.
+  show: {
+    durations: { letter: 90000 },
+  },
+
+  intro: {
+    greeting: 'Hey Love',
+    line: 'I made something for you…',
+    sub: 'A little world, written just for you.',
+  },
+
+  timeline: [
+    {
+      title: 'When we met',
+      date: '2019-06-14',
+      location: 'Marine Drive, Mumbai',
+      coords: [18.9432, 72.8235],
+      photos: [0],
+      tags: ['firsts'],
+      summary: 'The moment everything felt different.',
+      details: 'I remember your smile like sunlight — the small talk that led to endless conversations.',
+    },
+    {
+      title: 'Why I love you',
+      summary: 'Tiny things, big meaning.',
+      details: 'Your kindness is a soft lighthouse. You make me better without trying to change me.',
+    },
+    {
+      title: 'How you changed my life',
+      date: '2021-03',
+      location: 'Lonavala',
+      photos: [1, 2],
+      tags: ['trips'],
+      summary: 'A new lens to see the world.',
+      details: 'You turned ordinary days into little adventures. You taught me patience and wonder.',
+    },
+    {
+      title: 'Favorite moment',
+      date: '2023-12-31',
+      tags: ['celebrations'],
+      summary: 'A laugh, a kiss, and a soft rain.',
+      details: 'One evening we danced in the kitchen with no music but heartbeats — I keep that memory warm.',
+    },
+  ],
+
+  photos: [
+    { src: 'https://via.placeholder.com/400x300?text=Memory+1', alt: 'Memory 1 placeholder', caption: 'Our first coffee together — your laugh in the corner.' },
+    { src: 'https://via.placeholder.com/400x300?text=Memory+2', alt: 'Memory 2 placeholder', caption: 'Walking in the park — a tiny picnic we almost forgot.' },
+    { src: 'https://via.placeholder.com/400x300?text=Memory+3', alt: 'Memory 3 placeholder', caption: 'A sunset selfie — you caught the light perfectly.' },
+    { src: 'https://via.placeholder.com/400x300?text=Memory+4', alt: 'Memory 4 placeholder', caption: 'That rainy movie night — popcorn and cozy blankets.' },
+  ],
+
+  letter: {
+    paragraphs: [
+      'My love,{pause 1200}',
+      'Every day with you is a *quiet miracle*. I still find reasons to smile at the smallest things you do.\nYou taught me that patience can be gentle, and that courage sometimes looks like holding hands on a rainy street.',
+      'Today I celebrate you — your laugh, your warmth, and the way you make home out of ordinary moments.',
+      'Forever starts at the tiny things: the look you give when I make coffee, the way you hum when you\'re happy, the comfort of your shoulder.',
+      '**Happy Birthday, my heart.** This page is a small mirror of the love I feel for you, written in pixels but meant for your eyes.',
+      '{pause 600}{speed 0.6}~All my love, always.~',
+    ],
+  },
+
+  game: {
+    idle: 'Keep clicking the hearts 💖',
+    start: 'Catch them all!',
+    cheers: ['So cute!', 'You make my heart flutter', 'Keep going, love', 'I adore you'],
+    win: 'You win! Check the surprise ❤️',
+    timeUp: 'Time\'s up! Every heart you caught was mine anyway 💞',
+    levelUp: 'Level {level}! Faster now 💨',
+    bad: 'Ouch — that one was broken 💔',
+    reset: 'Reset — start again!',
+  },
+
+  surprise: {
+    // Riddles answered in order before the final password. Each stage reveals a piece of
+    // content; `answers` are hashes from  node tools/hash-answers.js "<answer>" ...
+    // (case and spaces don't matter). `hint` shows after `hintAfter` wrong tries.
+    // Leave the list empty to go straight to the password.
+    stages: [
+      {
+        question: 'Where did we have our very first date?',
+        answers: [
+          '5ebad12678379dc67c681d56326b4ea4a8c80e2a7754056a0537020b1f95b088',
+          'a860b858265b22dad3aaf1165cfc2936daf1d3d86e0b7b77e3cc07f59f96858f',
+          'd2a3380bc3f8c8d6557a432708fe45a1b3b6b558687dc3a5dd483408fb5474f6',
+        ],
+        hint: 'Warm cups, and your laugh in the corner.',
+        hintAfter: 2,
+        reveal: {
+          title: 'Clue one ☕',
+          text: 'It all started over two cups of coffee that went cold because we never stopped talking.',
+        },
+      },
+      {
+        question: 'What do I call you when nobody else is listening?',
+        answers: [
+          '72af0675445a70184234f09f5ebab045ac144a808c1059395c916de6c7dfea45',
+          '3cb968a982080be1d7a5df98dc49673a8c052d2642ef7730b7753cee5b87c3dd',
+          '01a0c66b545feefcff11bd34a5eb16d8c3b79c80d77b6e24de3def79970d6c31',
+        ],
+        hint: 'It beats for you.',
+        hintAfter: 2,
+        reveal: {
+          title: 'Clue two 💓',
+          text: 'One last door left — and you already know its key.',
+        },
+      },
+    ],
+
+    answerPlaceholder: 'Your answer',
+
+    // The final stage: the password that decrypts the hidden message
+    label: 'Password (her name):',
+    placeholder: 'Her name',
+    retryPlaceholder: 'Try again ❤️',
+    hint: 'Hint: It\'s her beautiful name (placeholder).',
+    hintAfter: 0,
+    // The hidden message, encrypted with the password. Never put either in plain text here:
+    // regenerate with  node tools/encrypt-surprise.js "<password>" "<title>" "<text>"
+    encrypted: {
+      iterations: 200000,
+      salt: '9e2PNEgzkHdSVMwgrywvvw==',
+      iv: 'KkTvAavorvXzHZE2',
+      data: 'zqWIa0XY6Hi/B4cYfxWo+5LEgvC11LEqGDHs6yIA6LjxjJdd6tpEbgGMbj5ePdz6oWZ8IXXCK61SQagWi6xvefPh2+MTQR+c3Hj65K9YN5KzjR/VZM4ydawTTIsO'
+    },
+  },
+
+  // Optional sound. Music starts only after the visitor presses Start (or the 🔊 toggle);
+  // tracks are keyed by section id and crossfade as sections scroll into view.
+  // Any file may be left out or missing — it is simply skipped.
+  audio: {
+    volume: 0.6,
+    tracks: {
+      intro: 'audio/intro.mp3',
+      letter: 'audio/letter.mp3',
+      final: 'audio/birthday-song.mp3',
+    },
+    effects: {
+      pop: 'audio/pop.mp3',
+      wrong: 'audio/wrong.mp3',
+      confetti: 'audio/confetti.mp3',
+    },
+  },
+
+  // Optional wishes wall (null hides it). 'static' reads a JSON array of
+  // { name, text, photo?, status? } from url; 'http' also lets friends post, e.g.
+  //   wishes: { source: 'http', url: 'http://localhost:8787/api/wishes' },
+  // with `node tools/wishes-server.js` running. Wishes are fetched, so the wall
+  // needs the page served over http(s) rather than opened from disk.
+  // status is the moderation flag: only 'approved' (or no status) is shown.
+  wishes: { source: 'static', url: 'wishes.json' },
+
+  // Optional keepsake ("Save this memory" in the final section): the photos
+  // (indexes into photos) that get printed, the first one also going on the
+  // downloadable card, and the card's message. Without it the card uses
+  // the final lead (the occasion's, or final.lead) and the first few photos are printed.
+  keepsake: {
+    photos: [0, 2],
+    message: 'Every year with you is my favorite chapter. Here’s to this one.',
+  },
+
+  // title and lead follow the occasion (e.g. "Happy Anniversary 💍"); add
+  // title: '…' / lead: '…' here to write your own for every occasion.
+  final: {
+    text: 'This site was made only for you — every pixel and every word.',
+  },
+};
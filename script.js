@@ -5,18 +5,51 @@
   Features implemented:
   - Smooth start button and nav behavior
   - Intro animated typewriter and hero micro-interactions
-  - Timeline / story reveal and replay sequence
-  - Photo gallery modal with keyboard navigation and captions
-  - Love letter typewriter with pause/resume and cursor
-  - Mini-game: click-the-hearts with scoring and messages
-  - Surprise unlock using password 'roshni18' (customizable)
-  - Confetti and fireworks visual triggers
+  - Timeline / story reveal and replay sequence, with milestone dates ("N
+    years ago"), map and gallery links, tag filter chips and arrow-key moves
+  - Photo gallery modal with keyboard navigation and captions, plus touch
+    gestures (swipe, swipe-down to close, pinch / double-tap zoom and pan)
+  - Gallery slideshow (interval, play/pause, progress, Ken Burns) with
+    video clips that pause the slideshow while they play
+  - Love letter typewriter with light markup (emphasis, headings, inline
+    images, handwriting), authored pauses / speed changes, pause, resume,
+    skip and replay; screen readers get the whole letter once
+  - Mini-game: timed click-the-hearts with levels, difficulty, broken hearts,
+    combos, an end-of-round summary and a local high-score table
+  - Content manifest (content.js) validated and rendered into the page
+  - Shareable links (#share=… base64url JSON: names, letter, hint, palette,
+    occasion) that personalize the page, and a "create your own" link builder
+  - Theme engine: palettes (CSS custom properties, also used by particles)
+    and occasions (title, emoji, default palette), switchable and remembered
+  - Optional countdown gate (content.countdown): locks the sections until a
+    time in a given time zone, then plays the entrance; ?preview skips it
+  - Guided show: a director steps through every section on top of
+    window.__birthday (next / previous / pause, keys n p k Esc)
+  - Surprise chain: riddles (hashed answers, delayed hints), then the final
+    message decrypted client-side (AES-GCM + PBKDF2)
+  - Wishes wall (content.wishes): friends' messages as animated cards from a
+    static JSON file or an HTTP endpoint (tools/wishes-server.js mocks one),
+    with length limits, text-only sanitizing and moderation flags
+  - Confetti and fireworks on a single canvas particle engine (physics,
+    shaped particles, staged fireworks, frame-budget quality scaling)
+  - Keepsake in #final: a print layout (print.css: letter, timeline, chosen
+    photos) and a PNG greeting card drawn on a canvas, both offline
   - Scroll-triggered animations (IntersectionObserver)
   - Accessibility helpers and focus management
+  - Progress saved in localStorage (letter, best score, surprise stage, cards,
+    photos) with a "start over" control; the decrypted surprise itself is
+    never stored, so a return visit asks for the password again
+
+  - Optional music per section (crossfades, ducking while the letter types)
+    and sound effects, only after the visitor opts in; mute is remembered
+  - Calm mode (prefers-reduced-motion or the nav toggle): fade-only
+    celebrations, still background, letter shown at once; animations,
+    typing, slideshow and game clock pause while the tab is hidden
 
   Notes:
-  - All audio hooks are intentionally left empty/commented for privacy.
-  - Placeholder images/text are used; replace with personal content as needed.
+  - Audio plays only after a user gesture (#start-btn or the sound toggle);
+    audio files are optional and missing ones are skipped silently.
+  - Personal content lives in content.js; edit that file, not this one.
 */
 
 (function(){
@@ -26,14 +59,475 @@
   /* Configuration & constants                                                */
   /* ====================================================================== */
   const CONFIG = {
-    surprisePassword: 'roshni18', // <-- Set by user
-    heartGameMax: 30,
-    confettiCount: 80,
-    fireworksBursts: 8,
+    heartGameMax: 30, // a round that reaches this score counts as a win
+    game: {
+      duration: 45000, // ms per round
+      comboWindow: 900, // ms between catches to keep a combo going
+      comboStep: 3, // catches in a row per extra multiplier
+      maxMultiplier: 4,
+      badPenalty: 5, // points lost for clicking a broken heart
+      highScores: 5, // entries kept in the local table
+      // reached by score; each level spawns faster and hearts live shorter
+      levels: [
+        {at: 0, spawnEvery: 900, life: 3200, maxHearts: 6, badChance: 0.10},
+        {at: 10, spawnEvery: 720, life: 2700, maxHearts: 7, badChance: 0.15},
+        {at: 25, spawnEvery: 580, life: 2200, maxHearts: 8, badChance: 0.20},
+        {at: 45, spawnEvery: 460, life: 1800, maxHearts: 9, badChance: 0.25},
+        {at: 70, spawnEvery: 360, life: 1450, maxHearts: 10, badChance: 0.30},
+      ],
+      // pace scales spawn interval and heart lifetime; bad scales the broken-heart chance
+      difficulties: {
+        easy: {pace: 1.3, bad: 0.5},
+        normal: {pace: 1, bad: 1},
+        hard: {pace: 0.75, bad: 1.5},
+      },
+    },
+    confettiCount: 80, // pieces per confetti shower at full quality
+    fireworksBursts: 8, // rockets per fireworks show
+    // canvas particles: px/s² for gravity and wind; frameBudget in ms (above it, quality drops)
+    particles: {
+      gravity: 900, wind: 60, maxParticles: 700, trailLength: 6, frameBudget: 22, minQuality: 0.3,
+      colors: ['#ff6f91','#ffd166','#c4a7ff','#ff9bb3','#ffd1e6','#ffd6a5','#fff1c9'],
+    },
     timelineStagger: 350,
-    typingSpeed: 26, // ms per char for long love letter
+    // gallery modal touch gestures (px / ms)
+    slideshowInterval: 5000, // ms per photo; the modal's "Every" select overrides it
+    gestures: {swipeDistance: 60, closeDistance: 90, tapSlop: 10, doubleTapMs: 300, doubleTapZoom: 2.5, maxZoom: 4},
+    // music & effects: gains are 0..1, times in ms (content.js audio.volume overrides volume)
+    audio: {volume: 0.6, effectsVolume: 0.8, duckTo: 0.35, crossfade: 1800, duckFade: 400},
+    typingSpeed: 26, // ms per char for long love letter ({speed n} in the letter divides it)
+    // color palettes: html[data-theme] values defined in style.css
+    palettes: {romantic: 'Romantic pink', pastel: 'Pastel', night: 'Night', gold: 'Gold'},
+    // occasions: page title, the last nav link, the final section's default heading and
+    // lead (content.js final.title / final.lead override them), emoji for the game and
+    // celebrations, and the palette used when nobody picked one
+    occasions: {
+      birthday: {label: 'Birthday', title: 'A Birthday Surprise', finalLink: 'Happy Birthday', palette: 'romantic',
+        finalTitle: 'Happy Birthday 🎂', finalLead: 'All my love, wrapped in code and color.',
+        heart: '💖', badHeart: '💔', burst: '💗', confetti: '🎉 💖 🎉', fireworks: '✨ 🎆 ✨'},
+      anniversary: {label: 'Anniversary', title: 'An Anniversary Surprise', finalLink: 'Happy Anniversary', palette: 'gold',
+        finalTitle: 'Happy Anniversary 💍', finalLead: 'Another year of us — and still my favorite story.',
+        heart: '💞', badHeart: '💔', burst: '🥂', confetti: '🥂 💞 🥂', fireworks: '✨ 💍 ✨'},
+      valentine: {label: "Valentine's Day", title: "A Valentine's Surprise", finalLink: 'Be My Valentine', palette: 'romantic',
+        finalTitle: 'Be My Valentine 💘', finalLead: 'Every day with you feels like the fourteenth of February.',
+        heart: '❤️', badHeart: '💔', burst: '💘', confetti: '💘 🌹 💘', fireworks: '✨ 💌 ✨'},
+    },
+    // guided show: ms per step (0 = wait for the visitor; content.js show.durations
+    // overrides them); the letter and surprise steps also end once they are finished,
+    // but never before minDwell
+    director: {durations: {intro: 4000, story: 9000, gallery: 24000, letter: 90000, games: 12000, surprise: 0, wishes: 15000, final: 12000}, minDwell: 6000},
+    // wishes wall: longest accepted values in characters (tools/wishes-server.js
+    // applies the same limits) and how many cards are shown
+    wishes: {maxName: 40, maxText: 280, maxPhoto: 500, maxShown: 60},
+    // share links (#share=…): longest accepted values, in characters
+    share: {maxName: 40, maxLetter: 4000, maxHint: 200},
+  };
+
+  /* ====================================================================== */
+  /* Content manifest: validation & rendering (see content.js)               */
+  /* ====================================================================== */
+  // Shareable links: "#share=<payload>" personalizes this visit without a redeploy.
+  // The payload is base64url-encoded JSON {r: recipient, s: sender, l: letter, h:
+  // password hint, t: palette, o: occasion}; every key is optional. It lives in the fragment, so the
+  // static host never sees it. The letter is plain text (blank lines split paragraphs).
+  function encodeShare(data){
+    const bytes = new TextEncoder().encode(JSON.stringify(data));
+    let bin = '';
+    bytes.forEach(b=>{ bin += String.fromCharCode(b); });
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function decodeShare(text){
+    const bin = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, ch=> ch.charCodeAt(0))));
+  }
+
+  // Unknown keys and wrong types are dropped; over-long values are cut to CONFIG.share limits.
+  function readSharePayload(){
+    const m = /^#share=([A-Za-z0-9_-]+)$/.exec(window.location.hash);
+    if(!m) return null;
+    let raw;
+    try{ raw = decodeShare(m[1]); } catch(err){ console.warn('Ignoring a malformed #share link', err); return null; }
+    if(!raw || typeof raw !== 'object') return null;
+    const lim = CONFIG.share;
+    const text = (v, max)=> typeof v === 'string' && v.trim() ? v.trim().slice(0, max) : undefined;
+    return {
+      recipient: text(raw.r, lim.maxName),
+      sender: text(raw.s, lim.maxName),
+      letter: text(raw.l, lim.maxLetter),
+      hint: text(raw.h, lim.maxHint),
+      palette: Object.prototype.hasOwnProperty.call(CONFIG.palettes, raw.t) ? raw.t : undefined,
+      occasion: Object.prototype.hasOwnProperty.call(CONFIG.occasions, raw.o) ? raw.o : undefined,
+    };
+  }
+
+  // A copy of the manifest with the link's values on top; content.js stays untouched.
+  function applyShare(base, share){
+    const c = {...base};
+    if(share.recipient) c.recipient = {...base.recipient, name: share.recipient};
+    if(share.sender) c.sender = {...base.sender, name: share.sender};
+    if(share.hint) c.surprise = {...base.surprise, hint: share.hint};
+    if(share.letter){
+      // typed as written: escape the characters the letter markup would interpret
+      const paragraphs = share.letter.split(/\n\s*\n/).map(para=> para.trim()).filter(Boolean);
+      c.letter = {...base.letter, paragraphs: paragraphs.map(para=> para.replace(/[\\*~{!#]/g, '\\$&'))};
+    }
+    return c;
+  }
+
+  const sharePayload = readSharePayload();
+  const CONTENT = sharePayload ? applyShare(window.BIRTHDAY_CONTENT, sharePayload) : window.BIRTHDAY_CONTENT;
+
+  // Wish sources for the wishes wall (content.wishes.source). A source is built from
+  // the manifest entry and returns {list(), add?(wish)}: list resolves to an array of
+  // raw wishes, add (only where friends can post) to the stored wish. Another backend
+  // is one more entry here.
+  async function fetchJson(url, opts){
+    const res = await fetch(url, opts);
+    if(!res.ok) throw new Error(`${url}: ${res.status} ${res.statusText}`);
+    return res.json();
+  }
+
+  const WISH_SOURCES = {
+    // a JSON array next to the page (read-only)
+    static: (cfg)=> ({list: ()=> fetchJson(cfg.url, {cache: 'no-cache'})}),
+    // GET <url> lists, POST <url> with a JSON wish adds one (see tools/wishes-server.js)
+    http: (cfg)=> ({
+      list: ()=> fetchJson(cfg.url, {headers: {Accept: 'application/json'}}),
+      add: (wish)=> fetchJson(cfg.url, {method: 'POST', headers: {'Content-Type': 'application/json', Accept: 'application/json'}, body: JSON.stringify(wish)}),
+    }),
   };
 
+  // Returns a list of human-readable problems; an empty list means the manifest is usable.
+  function validateContent(c){
+    const errors = [];
+    const isObj = (v)=> v !== null && typeof v === 'object' && !Array.isArray(v);
+    function str(obj, key, path){
+      const v = isObj(obj) ? obj[key] : undefined;
+      if(v === undefined || v === null) errors.push(`${path}.${key} is missing`);
+      else if(typeof v !== 'string' || !v.trim()) errors.push(`${path}.${key} must be a non-empty string`);
+    }
+    function obj(parent, key, path){
+      const v = parent[key];
+      if(!isObj(v)){ errors.push(`${path}.${key} ${v === undefined ? 'is missing' : 'must be an object'}`); return null; }
+      return v;
+    }
+    function list(parent, key, path){
+      const v = parent[key];
+      if(!Array.isArray(v)){ errors.push(`${path}.${key} ${v === undefined ? 'is missing' : 'must be an array'}`); return []; }
+      if(!v.length) errors.push(`${path}.${key} must not be empty`);
+      return v;
+    }
+    // timeline and keepsake photos are indexes into content.photos
+    function photoIndexes(v, path){
+      const count = Array.isArray(c.photos) ? c.photos.length : 0;
+      if(!Array.isArray(v)) errors.push(`${path} must be an array of photo numbers`);
+      else if(!count){ if(v.length) errors.push(`${path} points at photos, but content.photos is empty`); }
+      else v.forEach((n, j)=>{ if(!Number.isInteger(n) || n < 0 || n >= count) errors.push(`${path}[${j}] must be an index into content.photos (0–${count - 1})`); });
+    }
+
+    if(!isObj(c)) return ['window.BIRTHDAY_CONTENT is missing — is content.js loaded before script.js?'];
+    const P = 'content';
+
+    const recipient = obj(c, 'recipient', P); if(recipient) str(recipient, 'name', `${P}.recipient`);
+    const sender = obj(c, 'sender', P); if(sender) str(sender, 'name', `${P}.sender`);
+    const intro = obj(c, 'intro', P);
+    if(intro){ ['greeting','line','sub'].forEach(k=> str(intro, k, `${P}.intro`)); }
+
+    list(c, 'timeline', P).forEach((t, i)=>{
+      const p = `${P}.timeline[${i}]`;
+      if(!isObj(t)){ errors.push(`${p} must be an object`); return; }
+      ['title','summary','details'].forEach(k=> str(t, k, p));
+      // optional: date, place (coords pin it on the map), gallery photos, filter tags
+      if(t.date !== undefined && !parseMilestoneDate(t.date)) errors.push(`${p}.date must be a date like "2019", "2019-06" or "2019-06-14"`);
+      if(t.location !== undefined) str(t, 'location', p);
+      if(t.coords !== undefined && !(Array.isArray(t.coords) && t.coords.length === 2 && Math.abs(t.coords[0]) <= 90 && Math.abs(t.coords[1]) <= 180)) errors.push(`${p}.coords must be [latitude, longitude]`);
+      if(t.photos !== undefined) photoIndexes(t.photos, `${p}.photos`);
+      if(t.tags !== undefined){
+        if(!Array.isArray(t.tags)) errors.push(`${p}.tags must be an array`);
+        else t.tags.forEach((tag, j)=>{ if(typeof tag !== 'string' || !/^[\w-]+$/.test(tag)) errors.push(`${p}.tags[${j}] must be a single word like "trips"`); });
+      }
+    });
+
+    list(c, 'photos', P).forEach((ph, i)=>{
+      const p = `${P}.photos[${i}]`;
+      if(!isObj(ph)){ errors.push(`${p} must be an object`); return; }
+      ['src','alt','caption'].forEach(k=> str(ph, k, p));
+      if(ph.type !== undefined && ph.type !== 'image' && ph.type !== 'video') errors.push(`${p}.type must be "image" or "video"`);
+      if(ph.poster !== undefined) str(ph, 'poster', p);
+    });
+
+    const letter = obj(c, 'letter', P);
+    if(letter){
+      const paragraphs = list(letter, 'paragraphs', `${P}.letter`);
+      paragraphs.forEach((para, i)=>{
+        if(typeof para !== 'string' || !para.trim()) errors.push(`${P}.letter.paragraphs[${i}] must be a non-empty string`);
+      });
+      // markup mistakes (unknown directives, unclosed marks) are reported too
+      if(paragraphs.every(para=> typeof para === 'string')) parseLetter(paragraphs).errors.forEach(e=> errors.push(`${P}.letter.${e}`));
+    }
+
+    const game = obj(c, 'game', P);
+    if(game){
+      ['idle','start','win','timeUp','levelUp','bad','reset'].forEach(k=> str(game, k, `${P}.game`));
+      list(game, 'cheers', `${P}.game`).forEach((m, i)=>{
+        if(typeof m !== 'string' || !m.trim()) errors.push(`${P}.game.cheers[${i}] must be a non-empty string`);
+      });
+    }
+
+    const surprise = obj(c, 'surprise', P);
+    if(surprise){
+      ['label','placeholder','retryPlaceholder','hint'].forEach(k=> str(surprise, k, `${P}.surprise`));
+      const hintAfterOk = (v)=> v === undefined || (Number.isInteger(v) && v >= 0);
+      if(!hintAfterOk(surprise.hintAfter)) errors.push(`${P}.surprise.hintAfter must be a whole number ≥ 0`);
+      if(surprise.stages !== undefined){
+        if(!Array.isArray(surprise.stages)) errors.push(`${P}.surprise.stages must be an array`);
+        else {
+          if(surprise.stages.length) str(surprise, 'answerPlaceholder', `${P}.surprise`);
+          surprise.stages.forEach((st, i)=>{
+            const p = `${P}.surprise.stages[${i}]`;
+            if(!isObj(st)){ errors.push(`${p} must be an object`); return; }
+            str(st, 'question', p);
+            if(st.hint !== undefined) str(st, 'hint', p);
+            if(!hintAfterOk(st.hintAfter)) errors.push(`${p}.hintAfter must be a whole number ≥ 0`);
+            if(!Array.isArray(st.answers) || !st.answers.length) errors.push(`${p}.answers must be a non-empty array`);
+            else st.answers.forEach((a, j)=>{
+              if(typeof a !== 'string' || !/^[0-9a-f]{64}$/.test(a)) errors.push(`${p}.answers[${j}] must be a SHA-256 hex hash — use tools/hash-answers.js`);
+            });
+            const rev = obj(st, 'reveal', p);
+            if(rev){ ['title','text'].forEach(k=> str(rev, k, `${p}.reveal`)); }
+          });
+        }
+      }
+      if('password' in surprise || 'message' in surprise) errors.push(`${P}.surprise must not contain a plain password or message — use tools/encrypt-surprise.js`);
+      const enc = obj(surprise, 'encrypted', `${P}.surprise`);
+      if(enc){
+        ['salt','iv','data'].forEach(k=> str(enc, k, `${P}.surprise.encrypted`));
+        if(!Number.isInteger(enc.iterations) || enc.iterations < 1) errors.push(`${P}.surprise.encrypted.iterations must be a positive integer`);
+      }
+    }
+
+    const fin = obj(c, 'final', P);
+    if(fin){
+      str(fin, 'text', `${P}.final`);
+      // title and lead default to the occasion's
+      ['title','lead'].forEach(k=>{ if(fin[k] !== undefined) str(fin, k, `${P}.final`); });
+    }
+
+    // optional: music per section and sound effects
+    if(c.audio !== undefined){
+      const audio = obj(c, 'audio', P);
+      if(audio){
+        const sections = ['intro','story','gallery','letter','games','surprise','wishes','final'];
+        const effects = ['pop','wrong','confetti'];
+        [['tracks', sections], ['effects', effects]].forEach(([key, allowed])=>{
+          if(audio[key] === undefined) return;
+          const group = obj(audio, key, `${P}.audio`);
+          if(group) Object.keys(group).forEach(k=>{
+            if(!allowed.includes(k)) errors.push(`${P}.audio.${key}.${k} is not one of: ${allowed.join(', ')}`);
+            else str(group, k, `${P}.audio.${key}`);
+          });
+        });
+        if(audio.volume !== undefined && !(typeof audio.volume === 'number' && audio.volume >= 0 && audio.volume <= 1)) errors.push(`${P}.audio.volume must be a number between 0 and 1`);
+      }
+    }
+
+    // optional: countdown gate (null or absent = no gate)
+    if(c.countdown !== undefined && c.countdown !== null){
+      const cd = obj(c, 'countdown', P);
+      if(cd){
+        let zoneOk = true;
+        if(cd.timeZone !== undefined){
+          try{ new Intl.DateTimeFormat('en-US', {timeZone: cd.timeZone}); } catch(err){ zoneOk = false; errors.push(`${P}.countdown.timeZone "${cd.timeZone}" is not a known time zone (e.g. "Europe/London")`); }
+        }
+        if(typeof cd.unlockAt !== 'string') errors.push(`${P}.countdown.unlockAt must be a date string like "2026-10-20T00:00"`);
+        else if(zoneOk && isNaN(countdownTarget(cd))) errors.push(`${P}.countdown.unlockAt "${cd.unlockAt}" is not a readable date`);
+      }
+    }
+
+    // optional: wishes wall (null or absent = no wall)
+    if(c.wishes !== undefined && c.wishes !== null){
+      const wishes = obj(c, 'wishes', P);
+      if(wishes){
+        if(!Object.prototype.hasOwnProperty.call(WISH_SOURCES, wishes.source)) errors.push(`${P}.wishes.source must be one of: ${Object.keys(WISH_SOURCES).join(', ')}`);
+        str(wishes, 'url', `${P}.wishes`);
+      }
+    }
+
+    // optional: keepsake (photos to print and put on the card, the card's message)
+    if(c.keepsake !== undefined){
+      const keep = obj(c, 'keepsake', P);
+      if(keep){
+        if(keep.message !== undefined) str(keep, 'message', `${P}.keepsake`);
+        if(keep.photos !== undefined) photoIndexes(keep.photos, `${P}.keepsake.photos`);
+      }
+    }
+
+    // optional: guided show step durations in ms
+    if(c.show !== undefined){
+      const show = obj(c, 'show', P);
+      const durations = show && show.durations !== undefined ? obj(show, 'durations', `${P}.show`) : null;
+      if(durations) Object.keys(durations).forEach(k=>{
+        if(!Object.prototype.hasOwnProperty.call(CONFIG.director.durations, k)) errors.push(`${P}.show.durations.${k} is not one of: ${Object.keys(CONFIG.director.durations).join(', ')}`);
+        else if(!(typeof durations[k] === 'number' && durations[k] >= 0)) errors.push(`${P}.show.durations.${k} must be a number of milliseconds (0 = wait for the visitor)`);
+      });
+    }
+
+    // optional: starting palette and occasion (the visitor can still switch)
+    if(c.theme !== undefined){
+      const theme = obj(c, 'theme', P);
+      if(theme){
+        [['palette', CONFIG.palettes], ['occasion', CONFIG.occasions]].forEach(([key, known])=>{
+          if(theme[key] !== undefined && !Object.prototype.hasOwnProperty.call(known, theme[key])) errors.push(`${P}.theme.${key} must be one of: ${Object.keys(known).join(', ')}`);
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  function showContentErrors(errors){
+    const box = document.getElementById('content-errors');
+    console.error('content.js has problems:\n- ' + errors.join('\n- '));
+    if(!box) return;
+    box.innerHTML = '';
+    const title = createEl('strong', {textContent: 'This page can’t be shown yet — content.js needs fixing:'});
+    const ul = createEl('ul');
+    errors.forEach(msg=> ul.appendChild(createEl('li', {textContent: msg})));
+    box.append(title, ul);
+    box.hidden = false;
+    document.body.classList.add('content-invalid');
+  }
+
+  // Milestone dates are "YYYY", "YYYY-MM" or "YYYY-MM-DD"; shown at that precision.
+  function parseMilestoneDate(str){
+    const m = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(typeof str === 'string' ? str : '');
+    if(!m) return null;
+    const d = {year: +m[1], month: m[2] ? +m[2] : 0, day: m[3] ? +m[3] : 0};
+    if(d.month > 12 || (m[2] && !d.month)) return null;
+    if(m[3] && (d.day < 1 || d.day > new Date(Date.UTC(d.year, d.month, 0)).getUTCDate())) return null;
+    return d;
+  }
+
+  // {label: "June 14, 2019", ago: "5 years ago"}; ago is left out without Intl.RelativeTimeFormat.
+  function milestoneWhen(str){
+    const d = parseMilestoneDate(str);
+    const at = new Date(Date.UTC(d.year, (d.month || 1) - 1, d.day || 1));
+    const fmt = d.day ? {year: 'numeric', month: 'long', day: 'numeric'} : (d.month ? {year: 'numeric', month: 'long'} : {year: 'numeric'});
+    const label = at.toLocaleDateString(undefined, {...fmt, timeZone: 'UTC'});
+    if(!window.Intl || !Intl.RelativeTimeFormat) return {label, ago: ''};
+    // whole calendar units at the date's precision: "last year", "3 months ago", "yesterday"
+    const now = new Date();
+    let months = (now.getFullYear() - d.year) * 12 + (now.getMonth() + 1 - (d.month || now.getMonth() + 1));
+    if(d.day && months > 0 && now.getDate() < d.day) months -= 1;
+    const rtf = new Intl.RelativeTimeFormat(undefined, {numeric: 'auto'});
+    let ago;
+    if(!d.month || Math.abs(months) >= 12) ago = rtf.format(-Math.trunc(d.month ? months / 12 : now.getFullYear() - d.year), 'year');
+    else if(!d.day || months !== 0) ago = rtf.format(-months, 'month');
+    else ago = rtf.format(-Math.round((Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()) - at) / 86400000), 'day');
+    return {label, ago};
+  }
+
+  // An OpenStreetMap link: the exact spot with coords [lat, lng], otherwise a search.
+  function mapLink(place, coords){
+    if(coords) return `https://www.openstreetmap.org/?mlat=${coords[0]}&mlon=${coords[1]}#map=15/${coords[0]}/${coords[1]}`;
+    return `https://www.openstreetmap.org/search?query=${encodeURIComponent(place)}`;
+  }
+
+  function setText(selector, text){ const el = document.querySelector(selector); if(el) el.textContent = text; }
+
+  // Writes the manifest into the static sections. Everything goes through textContent,
+  // so the manifest can never inject markup.
+  function renderContent(c){
+    setText('.hero-title .pre', c.intro.greeting);
+    setText('.hero-title .line', c.intro.line);
+    setText('.hero-sub', c.intro.sub);
+
+    // #story: timeline cards (the title is the toggle; links live in the details)
+    const timeline = document.querySelector('#story .timeline');
+    timeline.innerHTML = '';
+    c.timeline.forEach((t, i)=>{
+      const li = createEl('li', {className: 'timeline-item'}); li.dataset.order = String(i + 1);
+      li.dataset.tags = (t.tags || []).join(' ');
+      const card = createEl('article', {className: 'timeline-card'});
+      const when = t.date ? milestoneWhen(t.date) : null;
+      if(when){
+        const meta = createEl('p', {className: 'timeline-when'});
+        const time = createEl('time', {textContent: when.label}); time.dateTime = t.date;
+        meta.appendChild(time);
+        if(when.ago) meta.appendChild(createEl('span', {className: 'timeline-ago', textContent: when.ago}));
+        card.appendChild(meta);
+      }
+      const toggle = createEl('button', {className: 'timeline-toggle', type: 'button', textContent: t.title});
+      toggle.setAttribute('aria-expanded', 'false'); toggle.setAttribute('aria-controls', `timeline-details-${i}`);
+      const heading = createEl('h3'); heading.appendChild(toggle);
+      const details = createEl('div', {className: 'details', id: `timeline-details-${i}`});
+      details.appendChild(createEl('p', {textContent: t.details}));
+      if(t.location || (t.photos && t.photos.length)){
+        const links = createEl('p', {className: 'timeline-links'});
+        if(t.location){
+          const map = createEl('a', {className: 'timeline-location', href: mapLink(t.location, t.coords), target: '_blank', rel: 'noopener', textContent: `📍 ${t.location}`});
+          map.setAttribute('aria-label', `${t.location} (map, opens in a new tab)`);
+          links.appendChild(map);
+        }
+        (t.photos || []).forEach((index, n)=>{
+          const btn = createEl('button', {className: 'timeline-photo', type: 'button', textContent: t.photos.length > 1 ? `🖼 Photo ${n + 1}` : '🖼 Photo'});
+          btn.dataset.photo = String(index);
+          btn.setAttribute('aria-label', `Open photo: ${c.photos[index].alt}`);
+          links.appendChild(btn);
+        });
+        details.appendChild(links);
+      }
+      card.append(heading, createEl('p', {className: 'summary', textContent: t.summary}), details);
+      li.appendChild(card);
+      timeline.appendChild(li);
+    });
+
+    // filter chips, one per tag in order of first use (only when milestones have tags)
+    const tags = [];
+    c.timeline.forEach(t=> (t.tags || []).forEach(tag=>{ if(!tags.includes(tag)) tags.push(tag); }));
+    const filters = document.querySelector('#story .timeline-filters');
+    if(filters){
+      filters.innerHTML = '';
+      filters.hidden = !tags.length;
+      ['', ...tags].forEach(tag=>{
+        const chip = createEl('button', {className: 'chip', type: 'button', textContent: tag || 'All'});
+        chip.dataset.tag = tag;
+        chip.setAttribute('aria-pressed', String(!tag));
+        filters.appendChild(chip);
+      });
+    }
+
+    // #gallery: photo figures
+    const grid = document.querySelector('#gallery .photo-grid');
+    grid.innerHTML = '';
+    c.photos.forEach((ph, i)=>{
+      const fig = createEl('figure', {className: 'photo', tabIndex: 0}); fig.dataset.index = String(i);
+      if(ph.type === 'video'){
+        // clips show their poster (or first frame) in the grid and play in the modal
+        const thumb = createEl('video', {src: ph.src, muted: true, preload: 'metadata', title: ph.alt});
+        thumb.setAttribute('playsinline', ''); thumb.setAttribute('aria-label', ph.alt);
+        if(ph.poster) thumb.poster = ph.poster;
+        fig.classList.add('is-video');
+        fig.append(thumb, createEl('figcaption', {textContent: ph.caption}));
+      } else {
+        fig.append(createEl('img', {src: ph.src, alt: ph.alt}), createEl('figcaption', {textContent: ph.caption}));
+      }
+      grid.appendChild(fig);
+    });
+
+    // #games: idle scoreboard message
+    setText('#score-msg', c.game.idle);
+
+    // #final
+    setText('#final .final-text', c.final.text);
+    setText('.site-footer .signature', `— ${c.sender.name}`);
+  }
+
+  const contentErrors = validateContent(CONTENT);
+  if(contentErrors.length){ showContentErrors(contentErrors); return; }
+  renderContent(CONTENT);
+
   /* ====================================================================== */
   /* DOM nodes cache                                                          */
   /* ====================================================================== */
@@ -41,9 +535,16 @@
     startBtn: document.getElementById('start-btn'),
     replayTimelineBtn: document.getElementById('replay-timeline'),
     timelineItems: Array.from(document.querySelectorAll('.timeline-item')),
+    timelineFilters: document.querySelector('#story .timeline-filters'),
     photoFigures: Array.from(document.querySelectorAll('.photo')), // NodeList
     photoModal: document.getElementById('photo-modal'),
+    modalMedia: document.querySelector('.modal-media'),
     modalImg: document.querySelector('.modal-media img'),
+    modalVideo: document.querySelector('.modal-video'),
+    modalPlay: document.querySelector('.modal-play'),
+    slideshowProgress: document.querySelector('.slideshow-progress span'),
+    slideshowInterval: document.getElementById('slideshow-interval'),
+    playSlideshowBtn: document.getElementById('play-slideshow'),
     modalCaption: document.querySelector('.modal-caption'),
     modalClose: document.querySelector('.modal-close'),
     modalPrev: document.querySelector('.modal-prev'),
@@ -51,17 +552,69 @@
     typewriterEl: document.getElementById('typewriter'),
     pauseLetterBtn: document.getElementById('pause-letter'),
     resumeLetterBtn: document.getElementById('resume-letter'),
+    skipLetterBtn: document.getElementById('skip-letter'),
+    replayLetterBtn: document.getElementById('replay-letter'),
+    letterFull: document.getElementById('letter-full'),
     heartsArea: document.getElementById('hearts-area'),
     scoreEl: document.getElementById('score'),
     scoreMsg: document.getElementById('score-msg'),
+    bestScoreEl: document.getElementById('best-score'),
+    gameTimerEl: document.getElementById('game-timer'),
+    gameLevel: document.getElementById('game-level'),
+    gameCombo: document.getElementById('game-combo'),
+    gameDifficulty: document.getElementById('game-difficulty'),
+    gameSummary: document.getElementById('game-summary'),
+    gameSummaryTitle: document.querySelector('.game-summary-title'),
+    gameStats: document.querySelector('.game-stats'),
+    highScoreForm: document.getElementById('high-score-form'),
+    highScoreName: document.getElementById('high-score-name'),
+    highScoresList: document.getElementById('high-scores'),
     startGameBtn: document.getElementById('start-game'),
     resetGameBtn: document.getElementById('reset-game'),
     surpriseForm: document.getElementById('surprise-form'),
     surprisePwInput: document.getElementById('pw'),
     surpriseMessage: document.getElementById('surprise-message'),
+    surpriseLabel: document.querySelector('label[for="pw"]'),
+    surpriseHint: document.getElementById('surprise-hint'),
+    surpriseSteps: document.getElementById('surprise-steps'),
+    surpriseStatus: document.getElementById('surprise-status'),
+    surpriseClues: document.getElementById('surprise-clues'),
+    wishesSection: document.getElementById('wishes'),
+    wishesList: document.getElementById('wishes-list'),
+    wishesStatus: document.getElementById('wishes-status'),
+    wishForm: document.getElementById('wish-form'),
+    wishCount: document.getElementById('wish-count'),
+    wishFormStatus: document.getElementById('wish-form-status'),
     confettiRoot: document.getElementById('confetti'),
     finalSection: document.getElementById('final'),
+    printKeepsakeBtn: document.getElementById('print-keepsake'),
+    saveCardBtn: document.getElementById('save-card'),
+    keepsakeStatus: document.getElementById('keepsake-status'),
+    keepsakeDate: document.getElementById('keepsake-date'),
     backgroundVisuals: document.getElementById('background-visuals'),
+    muteToggle: document.getElementById('mute-toggle'),
+    calmToggle: document.getElementById('calm-toggle'),
+    themePalette: document.getElementById('theme-palette'),
+    themeOccasion: document.getElementById('theme-occasion'),
+    countdown: document.getElementById('countdown'),
+    countdownWhen: document.getElementById('countdown-when'),
+    previewBadge: document.getElementById('preview-badge'),
+    playShowBtn: document.getElementById('play-show'),
+    director: document.getElementById('director'),
+    directorStep: document.querySelector('#director .director-step'),
+    directorProgress: document.querySelector('#director .director-progress span'),
+    directorPrev: document.querySelector('#director .director-prev'),
+    directorPlay: document.querySelector('#director .director-play'),
+    directorNext: document.querySelector('#director .director-next'),
+    directorClose: document.querySelector('#director .director-close'),
+    openBuilderBtn: document.getElementById('open-builder'),
+    shareBuilder: document.getElementById('share-builder'),
+    builderForm: document.getElementById('builder-form'),
+    builderResult: document.getElementById('builder-result'),
+    builderLink: document.getElementById('builder-link'),
+    builderCopy: document.getElementById('builder-copy'),
+    builderOpen: document.getElementById('builder-open'),
+    builderStatus: document.getElementById('builder-status'),
   };
 
   /* Small safety checks */
@@ -76,10 +629,11 @@
 
   /* Simple accessible focus trap for modals */
   function trapFocus(container){
-    const focusable = container.querySelectorAll('a[href],button,textarea,input,select,[tabindex]:not([tabindex="-1"])');
-    const first = focusable[0]; const last = focusable[focusable.length-1];
     function keyHandler(e){
       if(e.key === 'Tab'){
+        // looked up per key press: parts of a dialog can be shown or hidden while it is open
+        const focusable = [...container.querySelectorAll('a[href],button,textarea,input,select,[tabindex]:not([tabindex="-1"])')].filter(el=> !el.disabled && !el.closest('[hidden]'));
+        const first = focusable[0]; const last = focusable[focusable.length-1];
         if(e.shiftKey && document.activeElement === first){ e.preventDefault(); last.focus(); }
         else if(!e.shiftKey && document.activeElement === last){ e.preventDefault(); first.focus(); }
       }
@@ -89,48 +643,518 @@
     return ()=>container.removeEventListener('keydown', keyHandler);
   }
 
+  /* ====================================================================== */
+  /* Persistence: progress survives reloads (localStorage, versioned)        */
+  /* ====================================================================== */
+  // Bump STORE_VERSION when the shape changes and add a step to MIGRATIONS that
+  // upgrades the previous version; anything unknown or newer is discarded.
+  // A #share link is someone else's page: it keeps its own progress under a key derived
+  // from the payload, so visiting it never overwrites the recipient's own.
+  function shareStoreSuffix(payload){
+    let h = 5381;
+    const text = JSON.stringify(payload);
+    for(let i = 0; i < text.length; i++) h = ((h * 33) ^ text.charCodeAt(i)) >>> 0;
+    return ':share-' + h.toString(36);
+  }
+
+  const STORE_KEY = 'birthday-surprise:progress' + (sharePayload ? shareStoreSuffix(sharePayload) : '');
+  const STORE_VERSION = 5;
+  const MIGRATIONS = {
+    1: (old)=> ({...old, version: 2, highScores: []}), // v2: heart game high-score table
+    2: (old)=> ({...old, version: 3, settings: {}}), // v3: visitor settings (kept by "start over")
+    // v4: letterPos counts rich-letter steps instead of plain-text characters
+    3: (old)=> ({...old, version: 4, letterPos: letterStepForOffset(parseLetter(CONTENT.letter.paragraphs).steps, Number(old.letterPos) || 0)}),
+    // v5: the decrypted surprise message is no longer kept (only the password opens it)
+    4: (old)=> ({...old, version: 5, surprise: {stage: (old.surprise || {}).stage, unlocked: Boolean((old.surprise || {}).unlocked)}}),
+  };
+
+  function defaultProgress(){
+    return {
+      version: STORE_VERSION,
+      owner: CONTENT.recipient.name, // progress from a previous recipient is not reused
+      letterPos: 0,
+      bestScore: 0,
+      highScores: [], // [{name, score, level, difficulty, date}], best first
+      surprise: {stage: 0, unlocked: false}, // unlocked: opened before; the message is never stored
+      openedCards: [],
+      viewedPhotos: [],
+      // preferences rather than progress; new keys fall back to these defaults
+      settings: {muted: false, motion: 'auto', palette: '', occasion: ''}, // '' = not picked
+    };
+  }
+
+  function migrateProgress(raw){
+    let data = raw;
+    while(data && data.version < STORE_VERSION){
+      const step = MIGRATIONS[data.version];
+      if(!step) return null;
+      data = step(data);
+    }
+    return data && data.version === STORE_VERSION ? data : null;
+  }
+
+  // Never trust storage: keep only well-typed fields and fall back to defaults.
+  function sanitizeProgress(data){
+    const base = defaultProgress();
+    if(!data || data.owner !== base.owner) return base;
+    const count = (v, max)=> Number.isInteger(v) && v >= 0 ? Math.min(v, max) : 0;
+    const indexes = (v, len)=> Array.isArray(v) ? [...new Set(v.filter(i=> Number.isInteger(i) && i >= 0 && i < len))] : [];
+    const s = data.surprise || {};
+    return {
+      ...base,
+      letterPos: count(data.letterPos, Number.MAX_SAFE_INTEGER),
+      bestScore: count(data.bestScore, Number.MAX_SAFE_INTEGER),
+      highScores: Array.isArray(data.highScores) ? data.highScores
+        .filter(e=> e && typeof e.name === 'string' && Number.isInteger(e.score) && e.score > 0)
+        .map(e=> ({name: e.name.slice(0, 24), score: e.score, level: Number.isInteger(e.level) ? e.level : 1, difficulty: String(e.difficulty || 'normal'), date: String(e.date || '')}))
+        .sort((a, b)=> b.score - a.score)
+        .slice(0, CONFIG.game.highScores) : [],
+      surprise: {
+        stage: count(s.stage, (CONTENT.surprise.stages || []).length),
+        unlocked: s.unlocked === true,
+      },
+      openedCards: indexes(data.openedCards, CONTENT.timeline.length),
+      viewedPhotos: indexes(data.viewedPhotos, CONTENT.photos.length),
+      settings: sanitizeSettings(data.settings, base.settings),
+    };
+  }
+
+  function sanitizeSettings(saved, defaults){
+    const out = {...defaults};
+    if(saved && typeof saved === 'object'){
+      Object.keys(defaults).forEach(k=>{ if(typeof saved[k] === typeof defaults[k]) out[k] = saved[k]; });
+    }
+    return out;
+  }
+
+  function loadProgress(){
+    try{
+      const raw = window.localStorage.getItem(STORE_KEY);
+      const data = raw ? JSON.parse(raw) : null;
+      const loaded = sanitizeProgress(migrateProgress(data));
+      // upgraded progress is written back at once, so nothing an older shape kept (like a decrypted message) lingers
+      if(data && data.version !== STORE_VERSION) window.localStorage.setItem(STORE_KEY, JSON.stringify(loaded));
+      return loaded;
+    } catch(err){
+      // private mode, disabled storage or corrupt JSON: start fresh
+      return defaultProgress();
+    }
+  }
+
+  const progress = loadProgress();
+  let saveTimer = null;
+  let progressCleared = false; // set by clearProgress: nothing is written until the reload
+
+  function saveProgress(){
+    clearTimeout(saveTimer); saveTimer = null;
+    if(progressCleared) return;
+    try{ window.localStorage.setItem(STORE_KEY, JSON.stringify(progress)); } catch(err){ /* storage full or unavailable */ }
+  }
+
+  // Coalesces frequent updates (e.g. every typed letter) into one write.
+  function saveProgressSoon(){ if(!saveTimer) saveTimer = setTimeout(saveProgress, 500); }
+
+  // Forgets progress but keeps the visitor's settings (sound, etc.). The in-memory copy
+  // is reset too and later saves are dropped, so a running typewriter, game or pending
+  // save can't write the old state back before the page reloads.
+  function clearProgress(){
+    Object.assign(progress, defaultProgress(), {settings: progress.settings});
+    saveProgress();
+    progressCleared = true;
+  }
+
+  // flush pending writes when the tab is hidden or closed
+  window.addEventListener('pagehide', ()=>{ if(saveTimer) saveProgress(); });
+  document.addEventListener('visibilitychange', ()=>{ if(document.visibilityState === 'hidden' && saveTimer) saveProgress(); });
+
+  /* ====================================================================== */
+  /* Motion preferences: reduced motion, calm mode, hidden-tab pausing      */
+  /* ====================================================================== */
+  // "Calm mode" follows prefers-reduced-motion unless the visitor picks a side with
+  // the toggle (settings.motion: 'auto' | 'calm' | 'full'). Calm swaps confetti and
+  // fireworks for a fade-only celebration, stills the background, and shows the
+  // letter at once. Separately, every animation pauses while the tab is hidden.
+  const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+  const ambientAnimations = []; // infinite background animations (see backgroundParallax)
+  const motionListeners = []; // called with the new calm state when it changes
+
+  function isCalm(){
+    const pref = progress.settings.motion;
+    if(pref === 'calm') return true;
+    if(pref === 'full') return false;
+    return Boolean(reducedMotionQuery && reducedMotionQuery.matches);
+  }
+
+  // Element.animate that stays still in calm mode (for purely decorative motion).
+  function animateMotion(el, frames, opts){ return isCalm() ? null : el.animate(frames, opts); }
+
+  function applyMotion(){
+    const calm = isCalm();
+    document.documentElement.classList.toggle('calm-mode', calm);
+    ambientAnimations.forEach(a=>{ if(calm) a.pause(); else if(document.visibilityState !== 'hidden') a.play(); });
+    if(dom.calmToggle){
+      dom.calmToggle.setAttribute('aria-pressed', String(calm));
+      dom.calmToggle.setAttribute('aria-label', calm ? 'Turn animations back on' : 'Calm mode: reduce animations');
+    }
+    motionListeners.forEach(fn=> fn(calm));
+  }
+
+  function setCalm(calm){
+    // matching the system preference goes back to following it
+    const system = Boolean(reducedMotionQuery && reducedMotionQuery.matches);
+    progress.settings.motion = calm === system ? 'auto' : (calm ? 'calm' : 'full');
+    saveProgress();
+    applyMotion();
+  }
+
+  // Fade-only stand-in for confetti/fireworks: an emoji line that fades in and out.
+  function calmCelebration(text){
+    const note = createEl('div', {className: 'calm-celebration', textContent: text});
+    note.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(note);
+    requestAnimationFrame(()=> note.classList.add('show'));
+    setTimeout(()=> note.classList.remove('show'), 1600);
+    setTimeout(()=> note.remove(), 2400);
+  }
+
+  if(reducedMotionQuery){
+    const onChange = ()=>{ if(progress.settings.motion === 'auto') applyMotion(); };
+    if(reducedMotionQuery.addEventListener) reducedMotionQuery.addEventListener('change', onChange);
+    else if(reducedMotionQuery.addListener) reducedMotionQuery.addListener(onChange);
+  }
+  dom.calmToggle && dom.calmToggle.addEventListener('click', ()=> setCalm(!isCalm()));
+
+  // Page Visibility: freeze what is running while nobody is watching.
+  const visibilityHandlers = []; // {hide, show} pairs registered by the sections below
+  let frozenAnimations = [];
+
+  function onPageVisibility(hide, show){ visibilityHandlers.push({hide, show}); }
+
+  // script-made animations only: CSS animations are held by html.page-hidden
+  function runningScriptAnimations(){
+    if(!document.getAnimations) return [];
+    return document.getAnimations().filter(a=> a.playState === 'running' && !(window.CSSAnimation && a instanceof window.CSSAnimation) && !(window.CSSTransition && a instanceof window.CSSTransition));
+  }
+
+  document.addEventListener('visibilitychange', ()=>{
+    const hidden = document.visibilityState === 'hidden';
+    document.documentElement.classList.toggle('page-hidden', hidden);
+    if(hidden){
+      // only resume what we paused ourselves
+      frozenAnimations = runningScriptAnimations();
+      frozenAnimations.forEach(a=> a.pause());
+      visibilityHandlers.forEach(h=> h.hide());
+    } else {
+      frozenAnimations.forEach(a=>{ if(!isCalm() || !ambientAnimations.includes(a)) a.play(); });
+      frozenAnimations = [];
+      visibilityHandlers.forEach(h=> h.show());
+    }
+  });
+
+  applyMotion();
+
+  /* ====================================================================== */
+  /* Theme engine: color palettes & occasions                                */
+  /* ====================================================================== */
+  // The palette is an html[data-theme] value whose CSS custom properties style the
+  // page; the particle engine and script-made gradients read the same variables.
+  // The occasion (CONFIG.occasions) supplies the title, emoji and a default palette.
+  // Precedence: the visitor's pick (settings) > share link > content.js > occasion.
+  const hasKey = (table, key)=> Boolean(key) && Object.prototype.hasOwnProperty.call(table, key);
+  const themeListeners = []; // re-read colors / emoji after a switch
+
+  function currentOccasionKey(){
+    const manifest = CONTENT.theme || {};
+    const share = sharePayload || {};
+    return [progress.settings.occasion, share.occasion, manifest.occasion].find(k=> hasKey(CONFIG.occasions, k)) || 'birthday';
+  }
+
+  function occasion(){ return CONFIG.occasions[currentOccasionKey()]; }
+
+  function currentPalette(){
+    const manifest = CONTENT.theme || {};
+    const share = sharePayload || {};
+    return [progress.settings.palette, share.palette, manifest.palette].find(k=> hasKey(CONFIG.palettes, k)) || occasion().palette;
+  }
+
+  // The final section's heading and lead: content.js when it sets them, else the occasion's.
+  function finalCopy(){
+    const occ = occasion();
+    return {title: CONTENT.final.title || occ.finalTitle, lead: CONTENT.final.lead || occ.finalLead};
+  }
+
+  // Reads a custom property from the active palette (e.g. '--accent-rgb').
+  function themeVar(name){ return getComputedStyle(document.documentElement).getPropertyValue(name).trim(); }
+
+  function applyTheme(){
+    const occ = occasion();
+    document.documentElement.dataset.theme = currentPalette();
+    document.documentElement.dataset.occasion = currentOccasionKey();
+    document.title = `For ${CONTENT.recipient.name} — ${occ.title}`;
+    const finalLink = document.querySelector('.nav-list a[href="#final"]');
+    if(finalLink) finalLink.textContent = occ.finalLink;
+    setText('#final-title', finalCopy().title);
+    setText('#final .lead', finalCopy().lead);
+    if(dom.themePalette){ dom.themePalette.value = currentPalette(); dom.themeOccasion.value = currentOccasionKey(); }
+    themeListeners.forEach(fn=> fn());
+  }
+
+  function fillThemeSelect(select, table){
+    Object.keys(table).forEach(key=>{
+      const label = typeof table[key] === 'string' ? table[key] : table[key].label;
+      select.appendChild(createEl('option', {value: key, textContent: label}));
+    });
+  }
+
+  if(dom.themePalette){
+    fillThemeSelect(dom.themePalette, CONFIG.palettes);
+    fillThemeSelect(dom.themeOccasion, CONFIG.occasions);
+    dom.themePalette.addEventListener('change', ()=>{ progress.settings.palette = dom.themePalette.value; saveProgress(); applyTheme(); });
+    dom.themeOccasion.addEventListener('change', ()=>{
+      // the occasion's own palette applies unless a palette was picked somewhere
+      progress.settings.occasion = dom.themeOccasion.value;
+      saveProgress(); applyTheme();
+    });
+  }
+  applyTheme();
+
+  /* ====================================================================== */
+  /* Audio: section music & sound effects (opt-in, optional files)          */
+  /* ====================================================================== */
+  // Nothing plays until the visitor opts in with a gesture (#start-btn or the sound
+  // toggle). Each section may name a looping track in content.js (audio.tracks); the
+  // most visible section's track crossfades in. Files are optional: one that fails to
+  // load is remembered and skipped silently.
+  const audioCfg = CONTENT.audio || {};
+  const audioTracks = audioCfg.tracks || {};
+  const audioEffects = audioCfg.effects || {};
+  const sound = {
+    enabled: false, // set by a user gesture, never persisted
+    muted: progress.settings.muted,
+    ducked: false,
+    current: null, // section id whose track is (fading) in
+    master: 0, // current master gain; glides toward masterTarget()
+    tracks: {}, // section id -> {el, level}
+    failed: new Set(), // srcs that could not load
+    fading: false,
+    lastTick: 0,
+    sectionRatios: {},
+  };
+
+  function masterTarget(){
+    if(!sound.enabled || sound.muted) return 0;
+    const vol = typeof audioCfg.volume === 'number' ? audioCfg.volume : CONFIG.audio.volume;
+    return vol * (sound.ducked ? CONFIG.audio.duckTo : 1);
+  }
+
+  function getTrack(id){
+    const src = audioTracks[id];
+    if(!src || sound.failed.has(src)) return null;
+    if(!sound.tracks[id]){
+      const el = new Audio();
+      el.loop = true; el.preload = 'auto'; el.volume = 0;
+      el.addEventListener('error', ()=>{
+        sound.failed.add(src);
+        delete sound.tracks[id];
+        if(sound.current === id) sound.current = null;
+      });
+      el.src = src;
+      sound.tracks[id] = {el, level: 0};
+    }
+    return sound.tracks[id];
+  }
+
+  // One rAF loop drives every volume change: crossfades, mute and ducking.
+  function startFade(){
+    if(sound.fading) return;
+    sound.fading = true; sound.lastTick = performance.now();
+    requestAnimationFrame(fadeTick);
+  }
+
+  function fadeTick(now){
+    const dt = Math.max(0, now - sound.lastTick); sound.lastTick = now;
+    const target = masterTarget();
+    const mStep = dt / CONFIG.audio.duckFade;
+    sound.master = sound.master < target ? Math.min(target, sound.master + mStep) : Math.max(target, sound.master - mStep);
+    let busy = sound.master !== target;
+    const step = dt / CONFIG.audio.crossfade;
+    Object.keys(sound.tracks).forEach(id=>{
+      const t = sound.tracks[id];
+      const want = id === sound.current ? 1 : 0;
+      t.level = want > t.level ? Math.min(want, t.level + step) : Math.max(want, t.level - step);
+      if(t.level !== want) busy = true;
+      try{ t.el.volume = clamp(t.level * sound.master, 0, 1); } catch(err){ /* iOS: volume is read-only */ }
+      if((t.level === 0 || sound.master === 0) && !t.el.paused) t.el.pause();
+    });
+    if(busy) requestAnimationFrame(fadeTick); else sound.fading = false;
+  }
+
+  function playTrack(t){ const p = t.el.play(); if(p && p.catch) p.catch(()=>{ /* missing file or blocked: stay silent */ }); }
+
+  function playSection(id){
+    if(!sound.enabled || sound.current === id) return;
+    const t = getTrack(id);
+    if(!t) return; // sections without a track keep the current music
+    sound.current = id;
+    if(!sound.muted) playTrack(t);
+    startFade();
+  }
+
+  function mostVisibleSection(){
+    let best = null, bestRatio = 0;
+    Object.keys(sound.sectionRatios).forEach(id=>{
+      if(audioTracks[id] && sound.sectionRatios[id] > bestRatio){ best = id; bestRatio = sound.sectionRatios[id]; }
+    });
+    return best;
+  }
+
+  function enableAudio(){
+    if(sound.enabled) return;
+    sound.enabled = true;
+    updateMuteButton();
+    playSection(mostVisibleSection() || Object.keys(audioTracks)[0]);
+    startFade();
+  }
+
+  function setMuted(muted){
+    sound.muted = muted;
+    progress.settings.muted = muted; saveProgress();
+    const t = sound.current && sound.tracks[sound.current];
+    if(!muted && t) playTrack(t);
+    updateMuteButton();
+    startFade();
+  }
+
+  // Lowers the music while something needs attention (e.g. the letter typing).
+  function setDucked(on){
+    if(sound.ducked === on) return;
+    sound.ducked = on;
+    startFade();
+  }
+
+  function playEffect(name){
+    const src = audioEffects[name];
+    if(!src || !sound.enabled || sound.muted || sound.failed.has(src)) return;
+    const el = new Audio(src);
+    el.volume = clamp(masterTarget() * CONFIG.audio.effectsVolume, 0, 1);
+    el.addEventListener('error', ()=> sound.failed.add(src), {once: true});
+    const p = el.play(); if(p && p.catch) p.catch(()=>{});
+  }
+
+  function updateMuteButton(){
+    if(!dom.muteToggle) return;
+    const silent = sound.muted || !sound.enabled;
+    dom.muteToggle.textContent = silent ? '🔇' : '🔊';
+    dom.muteToggle.setAttribute('aria-pressed', String(!silent));
+    dom.muteToggle.setAttribute('aria-label', silent ? 'Turn sound on' : 'Mute sound');
+  }
+
+  if(dom.muteToggle){
+    dom.muteToggle.addEventListener('click', ()=>{
+      // the toggle is a gesture too, so it doubles as the opt-in
+      if(!sound.enabled){ if(sound.muted) setMuted(false); enableAudio(); return; }
+      setMuted(!sound.muted);
+    });
+    updateMuteButton();
+  }
+
+  // track which section is most in view and crossfade to its music
+  const audioObserver = new IntersectionObserver((entries)=>{
+    entries.forEach(ent=>{ sound.sectionRatios[ent.target.id] = ent.isIntersecting ? ent.intersectionRatio : 0; });
+    const id = mostVisibleSection();
+    if(id) playSection(id);
+  },{threshold:[0, 0.25, 0.5, 0.75, 1]});
+  if(Object.keys(audioTracks).length) document.querySelectorAll('main > .section[id]').forEach(sec=> audioObserver.observe(sec));
+
   /* ====================================================================== */
   /* Smooth intro / start button actions                                      */
   /* ====================================================================== */
   dom.startBtn && dom.startBtn.addEventListener('click', (e)=>{
     e.preventDefault();
-    document.querySelector('#story').scrollIntoView({behavior:'smooth'});
+    document.querySelector('#story').scrollIntoView({behavior: isCalm() ? 'auto' : 'smooth'});
     // Warm visual: pulse the button and release a small burst of hearts
-    dom.startBtn.animate([{transform:'scale(1)'},{transform:'scale(1.06)'},{transform:'scale(1)'}],{duration:600,easing:'ease-out'});
+    animateMotion(dom.startBtn, [{transform:'scale(1)'},{transform:'scale(1.06)'},{transform:'scale(1)'}],{duration:600,easing:'ease-out'});
     tinyHeartBurst(8, document.querySelector('.hero-content'));
+    // the explicit "start" is our consent to play sound
+    enableAudio();
   });
 
   /* ====================================================================== */
   /* Timeline: card toggle & replay sequencing                                 */
   /* ====================================================================== */
-  function toggleCard(card){
-    const expanded = card.getAttribute('aria-expanded') === 'true';
-    card.setAttribute('aria-expanded', String(!expanded));
+  // Each card's title is a real button (aria-expanded, Enter and Space for free); a
+  // click anywhere else on the card toggles too, except on its links. Arrow keys,
+  // Home and End move between the visible cards; the chips filter by tag.
+  function cardToggle(item){ return item.querySelector('.timeline-toggle'); }
+
+  function setCardOpen(item, open){
+    cardToggle(item).setAttribute('aria-expanded', String(open));
+    item.querySelector('.timeline-card').classList.toggle('is-open', open);
+    // collapsed details keep their links out of the tab order
+    item.querySelector('.details').inert = !open;
+  }
+
+  function toggleCard(item){
+    const i = dom.timelineItems.indexOf(item);
+    const open = cardToggle(item).getAttribute('aria-expanded') !== 'true';
+    setCardOpen(item, open);
+    // When expanding, ensure the item is revealed and remember it was opened
+    if(open){
+      item.classList.add('revealed');
+      if(!progress.openedCards.includes(i)){ progress.openedCards.push(i); saveProgress(); }
+    }
   }
 
-  dom.timelineItems.forEach(item=>{
+  dom.timelineItems.forEach((item, i)=>{
     const card = item.querySelector('.timeline-card');
-    card.addEventListener('click', ()=>{
-      // Toggle the card details
-      const isExp = card.getAttribute('aria-expanded') === 'true';
-      card.setAttribute('aria-expanded', String(!isExp));
-      // When expanding, ensure the item is revealed
-      if(!isExp) item.classList.add('revealed');
+    card.addEventListener('click', (e)=>{
+      const photo = e.target.closest('.timeline-photo');
+      if(photo){ openModal(Number(photo.dataset.photo)); return; }
+      if(e.target.closest('a')) return;
+      toggleCard(item);
     });
+    // cards opened on an earlier visit start open
+    setCardOpen(item, progress.openedCards.includes(i));
+    if(progress.openedCards.includes(i)) item.classList.add('revealed');
     // reveal on hover gently for desktop
     card.addEventListener('mouseenter', ()=> item.classList.add('revealed'));
   });
 
+  // arrows / Home / End between the card toggles (filtered-out cards are skipped)
+  document.querySelector('#story .timeline').addEventListener('keydown', (e)=>{
+    const moves = {ArrowDown: 1, ArrowRight: 1, ArrowUp: -1, ArrowLeft: -1, Home: -Infinity, End: Infinity};
+    if(!(e.key in moves) || !e.target.classList.contains('timeline-toggle')) return;
+    const toggles = dom.timelineItems.filter(it=> !it.hidden).map(cardToggle);
+    const at = toggles.indexOf(e.target);
+    const next = toggles[clamp(at + moves[e.key], 0, toggles.length - 1)];
+    e.preventDefault();
+    next.focus();
+    next.closest('.timeline-item').classList.add('revealed');
+  });
+
+  function filterTimeline(tag){
+    dom.timelineFilters.querySelectorAll('.chip').forEach(chip=> chip.setAttribute('aria-pressed', String(chip.dataset.tag === tag)));
+    dom.timelineItems.forEach(item=>{
+      item.hidden = Boolean(tag) && !item.dataset.tags.split(' ').includes(tag);
+      if(!item.hidden) item.classList.add('revealed');
+    });
+  }
+
+  dom.timelineFilters && dom.timelineFilters.addEventListener('click', (e)=>{
+    const chip = e.target.closest('.chip');
+    if(chip) filterTimeline(chip.dataset.tag);
+  });
+
   function replayTimeline(){
     // Reset states
-    dom.timelineItems.forEach(it=>{ it.classList.remove('revealed'); it.querySelector('.timeline-card').setAttribute('aria-expanded','false'); });
+    dom.timelineItems.forEach(it=>{ it.classList.remove('revealed'); setCardOpen(it, false); });
     // Animate one-by-one
     dom.timelineItems.forEach((item, i)=>{
       setTimeout(()=>{
         item.classList.add('revealed');
         // small nudge animation
         const el = item.querySelector('.timeline-card');
-        el.animate([{transform:'translateY(12px)',opacity:0},{transform:'translateY(0)',opacity:1}],{duration:520,easing:'cubic-bezier(.2,.9,.3,1)'});
+        animateMotion(el, [{transform:'translateY(12px)',opacity:0},{transform:'translateY(0)',opacity:1}],{duration:520,easing:'cubic-bezier(.2,.9,.3,1)'});
       }, i * CONFIG.timelineStagger);
     });
   }
@@ -138,18 +1162,43 @@
   dom.replayTimelineBtn && dom.replayTimelineBtn.addEventListener('click', replayTimeline);
 
   /* ====================================================================== */
-  /* Photo gallery modal with keyboard navigation                             */
+  /* Photo gallery modal with keyboard navigation (photos and video clips)   */
   /* ====================================================================== */
   let currentPhotoIndex = 0;
-  const photos = dom.photoFigures.map(fig=>({img: fig.querySelector('img').src, caption: fig.querySelector('figcaption')?.textContent || ''}));
+  const photos = CONTENT.photos.map(ph=>({type: ph.type || 'image', src: ph.src, poster: ph.poster || '', alt: ph.alt, caption: ph.caption}));
+
+  let modalOpener = null; // element to refocus when the modal closes
+
+  function isModalOpen(){ return dom.photoModal.getAttribute('aria-hidden') === 'false'; }
 
   function openModal(index){
+    const wasOpen = isModalOpen();
     currentPhotoIndex = clamp(index, 0, photos.length -1);
     const data = photos[currentPhotoIndex];
-    dom.modalImg.src = data.img;
-    dom.modalImg.alt = data.caption || 'Memory photo';
+    const isVideo = data.type === 'video';
+    resetZoom(false);
+    dom.modalVideo.pause();
+    dom.modalMedia.classList.toggle('is-video', isVideo);
+    dom.modalImg.hidden = isVideo;
+    dom.modalVideo.hidden = !isVideo;
+    if(isVideo){
+      dom.modalImg.removeAttribute('src');
+      dom.modalVideo.poster = data.poster;
+      dom.modalVideo.src = data.src;
+      dom.modalVideo.setAttribute('aria-label', data.alt);
+    } else {
+      dom.modalVideo.removeAttribute('src'); dom.modalVideo.load();
+      dom.modalImg.src = data.src;
+      dom.modalImg.alt = data.caption || 'Memory photo';
+    }
     dom.modalCaption.textContent = data.caption;
     dom.photoModal.setAttribute('aria-hidden','false');
+    markPhotoViewed(currentPhotoIndex);
+    preloadNeighbors(currentPhotoIndex);
+    slideChanged();
+    // Only set up focus + listeners once; prev/next just swap the photo
+    if(wasOpen) return;
+    modalOpener = document.activeElement;
     // Manage focus
     dom.modalClose.focus();
     // Trap focus within modal
@@ -158,12 +1207,36 @@
     function escClose(e){ if(e.key === 'Escape'){ closeModal(); } }
     document.addEventListener('keydown', escClose);
     // return cleanup function
-    dom.photoModal._cleanup = ()=>{ release(); document.removeEventListener('keydown', escClose); };
+    dom.photoModal._cleanup = ()=>{ release(); document.removeEventListener('keydown', escClose); dom.photoModal._cleanup = null; };
   }
 
+  // Warm the browser cache for the photos a swipe would show next.
+  const preloaded = new Set();
+  function preloadNeighbors(index){
+    [index + 1, index - 1].forEach(i=>{
+      const item = photos[(i + photos.length) % photos.length];
+      const src = item.type === 'video' ? item.poster : item.src; // clips stream on demand
+      if(!src || preloaded.has(src)) return;
+      preloaded.add(src);
+      const img = new Image(); img.decoding = 'async'; img.src = src;
+    });
+  }
+
+  function markPhotoViewed(index){
+    dom.photoFigures[index].classList.add('viewed');
+    if(!progress.viewedPhotos.includes(index)){ progress.viewedPhotos.push(index); saveProgress(); }
+  }
+  progress.viewedPhotos.forEach(i=> dom.photoFigures[i].classList.add('viewed'));
+
   function closeModal(){
+    if(!isModalOpen()) return;
+    stopSlideshow();
+    dom.modalVideo.pause();
     dom.photoModal.setAttribute('aria-hidden','true');
     dom.photoModal._cleanup && dom.photoModal._cleanup();
+    resetZoom(false);
+    if(modalOpener && modalOpener.focus) modalOpener.focus();
+    modalOpener = null;
   }
 
   function showPrevPhoto(){ openModal((currentPhotoIndex - 1 + photos.length) % photos.length); }
@@ -172,7 +1245,7 @@
   // Click handlers: open modal
   dom.photoFigures.forEach((fig, idx)=>{
     fig.addEventListener('click', ()=> openModal(idx));
-    fig.addEventListener('keydown', (e)=>{ if(e.key === 'Enter' || e.key === ' ') openModal(idx); });
+    fig.addEventListener('keydown', (e)=>{ if(e.key === 'Enter' || e.key === ' '){ e.preventDefault(); openModal(idx); } });
   });
 
   // Modal button handlers
@@ -180,173 +1253,1222 @@
   dom.modalPrev.addEventListener('click', showPrevPhoto);
   dom.modalNext.addEventListener('click', showNextPhoto);
 
-  // Keyboard navigation inside modal
+  // Keyboard navigation inside modal (arrows in the interval select or a clip's controls stay theirs)
   document.addEventListener('keydown', (e)=>{
+    if(e.defaultPrevented || (e.target.closest && e.target.closest('select,input,textarea,video'))) return;
     if(dom.photoModal.getAttribute('aria-hidden') === 'false'){
       if(e.key === 'ArrowLeft') showPrevPhoto();
       if(e.key === 'ArrowRight') showNextPhoto();
     }
   });
 
-  /* ====================================================================== */
-  /* Love Letter typewriter with pause/resume                                 */
-  /* ====================================================================== */
-  const letterText = [
-    "My love,",
-    "",
-    "Every day with you is a quiet miracle. I still find reasons to smile at the smallest things you do.",
-    "You taught me that patience can be gentle, and that courage sometimes looks like holding hands on a rainy street.",
-    "",
-    "Today I celebrate you — your laugh, your warmth, and the way you make home out of ordinary moments.",
-    "",
-    "Forever starts at the tiny things: the look you give when I make coffee, the way you hum when you're happy, the comfort of your shoulder.",
-    "",
-    "Happy Birthday, my heart. This page is a small mirror of the love I feel for you, written in pixels but meant for your eyes.",
-    "",
-    "All my love, always."
-  ].join('\n');
-
-  // Typewriter state
-  let typePos = 0;
-  let typing = true;
-  let typeTimer = null;
+  /* ---------------------------------------------------------------------- */
+  /* Touch gestures on the modal photo (pointer events)                     */
+  /* ---------------------------------------------------------------------- */
+  // Swipe left/right changes photo, swipe down closes, pinch or double-tap zooms,
+  // and a zoomed photo pans with one finger. Works with mouse drags too.
+  const zoom = {scale: 1, x: 0, y: 0};
+  const pointers = new Map(); // pointerId -> {x, y}
+  let gesture = null; // {type: 'swipe'|'pan'|'pinch', …start state}
+  let lastTap = null;
 
-  function typeStep(){
-    if(!typing) return;
-    if(typePos <= letterText.length){
-      const textNow = letterText.slice(0, typePos);
-      dom.typewriterEl.innerHTML = escapeHtml(textNow) + '<span class="cursor"></span>';
-      typePos += 1;
-      typeTimer = setTimeout(typeStep, CONFIG.typingSpeed + Math.random()*20);
-    } else {
-      dom.typewriterEl.innerHTML = escapeHtml(letterText); // final
-    }
+  function applyZoom(animate){
+    dom.modalMedia.classList.toggle('gesturing', !animate);
+    dom.modalMedia.classList.toggle('zoomed', zoom.scale > 1);
+    const idle = zoom.scale === 1 && !zoom.x && !zoom.y;
+    dom.modalImg.style.transform = idle ? '' : `translate(${zoom.x}px, ${zoom.y}px) scale(${zoom.scale})`;
   }
 
-  function pauseTyping(){ typing = false; clearTimeout(typeTimer); }
-  function resumeTyping(){ if(!typing){ typing = true; typeStep(); } }
-
-  dom.pauseLetterBtn.addEventListener('click', ()=>{ pauseTyping(); dom.pauseLetterBtn.setAttribute('disabled','true'); dom.resumeLetterBtn.removeAttribute('disabled'); });
-  dom.resumeLetterBtn.addEventListener('click', ()=>{ resumeTyping(); dom.resumeLetterBtn.setAttribute('disabled','true'); dom.pauseLetterBtn.removeAttribute('disabled'); });
-
-  // small helper: escape for HTML insertion
-  function escapeHtml(str){ return String(str).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/\n/g,'<br>'); }
-
-  // start the typewriter gently after load
-  setTimeout(()=>{ typeStep(); }, 700);
-
-  /* ====================================================================== */
-  /* Mini-game: Click the hearts                                              */
-  /* ====================================================================== */
-  let score = 0;
-  let gameRunning = false;
-  let activeHearts = [];
+  function resetZoom(animate){ zoom.scale = 1; zoom.x = 0; zoom.y = 0; applyZoom(animate); }
 
-  function spawnHeart(){
-    if(!dom.heartsArea) return;
-    const area = dom.heartsArea.getBoundingClientRect();
-    const h = createEl('div');
-    h.className = 'game-heart';
-    h.style.left = rand(6, area.width - 54) + 'px';
-    h.style.top = rand(6, area.height - 54) + 'px';
-    h.textContent = '💖';
-    dom.heartsArea.appendChild(h);
-    activeHearts.push(h);
+  // Keep the zoomed photo covering its box so it can't be dragged off-screen.
+  function clampPan(){
+    const maxX = (zoom.scale - 1) * dom.modalImg.offsetWidth / 2;
+    const maxY = (zoom.scale - 1) * dom.modalImg.offsetHeight / 2;
+    zoom.x = clamp(zoom.x, -maxX, maxX); zoom.y = clamp(zoom.y, -maxY, maxY);
+  }
 
-    // tidy removal after some time
-    const life = setTimeout(()=>{
-      if(h.parentElement) h.remove();
-      activeHearts = activeHearts.filter(x=>x!==h);
-    }, 7000 + Math.random()*6000);
+  // Screen point -> offset from the (untransformed) photo centre.
+  function mediaPoint(x, y){ const r = dom.modalMedia.getBoundingClientRect(); return {x: x - (r.left + r.width/2), y: y - (r.top + r.height/2)}; }
 
-    // click handler
-    h.addEventListener('click', (ev)=>{
-      ev.stopPropagation();
-      // pop animation
-      h.classList.add('pop');
-      setTimeout(()=>{ h.remove(); activeHearts = activeHearts.filter(x=>x!==h); }, 220);
-      // increment score and message
-      score += 1;
-      dom.scoreEl.textContent = score;
-      if(score > 0 && score % 5 === 0){ dom.scoreMsg.textContent = ['So cute!','You make my heart flutter','Keep going, love','I adore you'][Math.floor(Math.random()*4)]; }
-    });
+  // Zooms to `scale` while keeping the photo point under (cx, cy) in place.
+  function zoomAt(scale, cx, cy){
+    const next = clamp(scale, 1, CONFIG.gestures.maxZoom);
+    const k = next / zoom.scale;
+    zoom.x = cx - (cx - zoom.x) * k;
+    zoom.y = cy - (cy - zoom.y) * k;
+    zoom.scale = next;
+    clampPan();
   }
 
-  let gameInterval = null;
+  function pointerPair(){ const [a, b] = [...pointers.values()]; return {dist: Math.hypot(a.x - b.x, a.y - b.y), mid: {x: (a.x + b.x)/2, y: (a.y + b.y)/2}}; }
 
-  function startGame(){
-    if(gameRunning) return;
-    gameRunning = true;
-    score = 0; dom.scoreEl.textContent = score; dom.scoreMsg.textContent = 'Catch them all!';
-    gameInterval = setInterval(()=>{
-      if(activeHearts.length < 8) spawnHeart();
-      // auto stop after a while
-      if(score >= CONFIG.heartGameMax){ stopGame(); dom.scoreMsg.textContent = 'You win! Check the surprise ❤️'; }
-    }, 650);
+  function startSingleGesture(x, y, moved){
+    gesture = {type: zoom.scale > 1 ? 'pan' : 'swipe', startX: x, startY: y, x: zoom.x, y: zoom.y, t: Date.now(), moved};
   }
 
-  function stopGame(){ gameRunning = false; clearInterval(gameInterval); activeHearts.forEach(h=>h.remove()); activeHearts = []; }
+  dom.modalImg.draggable = false;
 
-  dom.startGameBtn.addEventListener('click', ()=> startGame());
-  dom.resetGameBtn.addEventListener('click', ()=>{ stopGame(); score = 0; dom.scoreEl.textContent = 0; dom.scoreMsg.textContent = 'Reset — start again!'; });
+  dom.modalMedia.addEventListener('pointerdown', (e)=>{
+    // clips keep their native controls; gestures are for photos
+    if(photos[currentPhotoIndex].type === 'video') return;
+    if(e.pointerType === 'mouse'){ if(e.button !== 0) return; e.preventDefault(); }
+    // touching the photo takes over from the slideshow and its Ken Burns drift
+    pauseSlideshow(); kenBurns(false);
+    if(dom.modalMedia.setPointerCapture) dom.modalMedia.setPointerCapture(e.pointerId);
+    pointers.set(e.pointerId, {x: e.clientX, y: e.clientY});
+    if(pointers.size === 2){
+      const pair = pointerPair();
+      gesture = {type: 'pinch', dist: pair.dist || 1, mid: pair.mid, scale: zoom.scale, x: zoom.x, y: zoom.y};
+    } else if(pointers.size === 1){
+      startSingleGesture(e.clientX, e.clientY, false);
+    }
+    applyZoom(false);
+  });
 
-  /* ====================================================================== */
-  /* Surprise form: unlock by password -> confetti + reveal message          */
-  /* ====================================================================== */
-  dom.surpriseForm.addEventListener('submit', (e)=>{
-    e.preventDefault();
-    const val = dom.surprisePwInput.value.trim();
-    if(val === CONFIG.surprisePassword){
-      // success: show confetti and reveal message
-      triggerConfetti();
-      dom.surpriseMessage.hidden = false;
-      dom.surpriseMessage.querySelector('h3').classList.add('glow');
-      // scroll to final message after a moment
-      setTimeout(()=>{
-        dom.finalSection.scrollIntoView({behavior:'smooth'});
-        triggerFireworks();
-      }, 800);
+  dom.modalMedia.addEventListener('pointermove', (e)=>{
+    if(!pointers.has(e.pointerId) || !gesture) return;
+    pointers.set(e.pointerId, {x: e.clientX, y: e.clientY});
+    if(gesture.type === 'pinch'){
+      if(pointers.size !== 2) return;
+      const pair = pointerPair();
+      const origin = mediaPoint(gesture.mid.x, gesture.mid.y);
+      // zoom about where the pinch started, then follow the fingers' midpoint
+      zoom.scale = gesture.scale; zoom.x = gesture.x; zoom.y = gesture.y;
+      zoomAt(gesture.scale * pair.dist / gesture.dist, origin.x, origin.y);
+      zoom.x += pair.mid.x - gesture.mid.x; zoom.y += pair.mid.y - gesture.mid.y;
+      clampPan();
     } else {
-      // small shake for wrong password
-      dom.surprisePwInput.animate([{transform:'translateX(-6px)'},{transform:'translateX(6px)'},{transform:'translateX(0)'}],{duration:420});
-      dom.surprisePwInput.value = '';
-      dom.surprisePwInput.placeholder = 'Try again ❤️';
+      const dx = e.clientX - gesture.startX, dy = e.clientY - gesture.startY;
+      if(Math.hypot(dx, dy) > CONFIG.gestures.tapSlop) gesture.moved = true;
+      if(gesture.type === 'pan'){ zoom.x = gesture.x + dx; zoom.y = gesture.y + dy; clampPan(); }
+      else {
+        // swipe preview: the photo follows the finger along the dominant axis
+        const horizontal = Math.abs(dx) > Math.abs(dy);
+        zoom.x = horizontal ? dx * 0.6 : 0;
+        zoom.y = !horizontal && dy > 0 ? dy * 0.6 : 0;
+      }
     }
+    applyZoom(false);
   });
 
+  function handleTap(x, y){
+    const now = Date.now();
+    if(lastTap && now - lastTap.t < CONFIG.gestures.doubleTapMs && Math.hypot(x - lastTap.x, y - lastTap.y) < 30){
+      lastTap = null;
+      if(zoom.scale > 1){ resetZoom(true); return; }
+      const p = mediaPoint(x, y);
+      zoomAt(CONFIG.gestures.doubleTapZoom, p.x, p.y);
+      applyZoom(true);
+    } else {
+      lastTap = {t: now, x, y};
+      if(zoom.scale === 1) resetZoom(true); else applyZoom(true);
+    }
+  }
+
+  function endPointer(e){
+    if(!pointers.has(e.pointerId)) return;
+    const start = gesture;
+    pointers.delete(e.pointerId);
+    if(start && start.type === 'pinch'){
+      // a finger left on the glass carries on as a pan
+      if(pointers.size === 1){ const [p] = pointers.values(); startSingleGesture(p.x, p.y, true); }
+      else gesture = null;
+      if(zoom.scale < 1.05) resetZoom(true); else applyZoom(true);
+      return;
+    }
+    gesture = null;
+    if(!start || e.type === 'pointercancel'){ if(zoom.scale === 1) resetZoom(true); else applyZoom(true); return; }
+    const dx = e.clientX - start.startX, dy = e.clientY - start.startY;
+    if(!start.moved && Date.now() - start.t < CONFIG.gestures.doubleTapMs){ handleTap(e.clientX, e.clientY); return; }
+    if(start.type === 'swipe'){
+      resetZoom(true);
+      if(Math.abs(dx) > CONFIG.gestures.swipeDistance && Math.abs(dx) > Math.abs(dy)){ if(dx < 0) showNextPhoto(); else showPrevPhoto(); }
+      else if(dy > CONFIG.gestures.closeDistance && dy > Math.abs(dx)) closeModal();
+      return;
+    }
+    applyZoom(true);
+  }
+
+  dom.modalMedia.addEventListener('pointerup', endPointer);
+  dom.modalMedia.addEventListener('pointercancel', endPointer);
+
+  /* ---------------------------------------------------------------------- */
+  /* Slideshow: autoplay inside the modal, Ken Burns drift on photos        */
+  /* ---------------------------------------------------------------------- */
+  // Photos advance after the chosen interval. A clip plays through instead: the timer
+  // waits while it plays and the show moves on when it ends.
+  const slideshow = {playing: false, paused: false, waitingForClip: false, timer: null, raf: 0, slideStart: 0, elapsed: 0};
+
+  function slideInterval(){ return Number(dom.slideshowInterval.value) || CONFIG.slideshowInterval; }
+
+  function setSlideProgress(fraction){ dom.slideshowProgress.style.width = (clamp(fraction, 0, 1) * 100) + '%'; }
+
+  function tickSlideProgress(){
+    if(!slideshow.playing || slideshow.waitingForClip) return;
+    setSlideProgress((slideshow.elapsed + performance.now() - slideshow.slideStart) / slideInterval());
+    slideshow.raf = requestAnimationFrame(tickSlideProgress);
+  }
+
+  function kenBurns(on){
+    const img = dom.modalImg;
+    img.classList.remove('kenburns', 'kb-paused');
+    if(!on || isCalm()) return;
+    // a fresh drift per slide; the reflow restarts the CSS animation
+    img.style.setProperty('--kb-x', rand(-4, 4).toFixed(1) + '%');
+    img.style.setProperty('--kb-y', rand(-3, 3).toFixed(1) + '%');
+    img.style.setProperty('--kb-scale', rand(1.08, 1.16).toFixed(3));
+    img.style.setProperty('--kb-duration', (slideInterval() + 600) + 'ms');
+    void img.offsetWidth;
+    img.classList.add('kenburns');
+  }
+
+  function clearSlideTimers(){ clearTimeout(slideshow.timer); cancelAnimationFrame(slideshow.raf); }
+
+  function runSlideTimer(){
+    clearSlideTimers();
+    slideshow.slideStart = performance.now();
+    slideshow.timer = setTimeout(showNextPhoto, Math.max(0, slideInterval() - slideshow.elapsed));
+    tickSlideProgress();
+  }
+
+  // Starts the countdown (or the clip) for the slide currently in the modal.
+  function startSlide(){
+    clearSlideTimers();
+    slideshow.elapsed = 0;
+    slideshow.waitingForClip = photos[currentPhotoIndex].type === 'video';
+    if(slideshow.waitingForClip){
+      kenBurns(false);
+      setSlideProgress(0);
+      playClip();
+      return;
+    }
+    kenBurns(true);
+    runSlideTimer();
+  }
+
+  function playClip(){
+    const p = dom.modalVideo.play();
+    if(!p || !p.catch) return;
+    // autoplay with sound may be refused: retry muted, and skip a clip that can't play at all
+    p.catch(()=>{
+      dom.modalVideo.muted = true;
+      dom.modalVideo.play().catch(skipBrokenClip);
+    });
+  }
+
+  // A clip can fail twice (an error event and a refused play()): only one skip is ever pending.
+  function skipBrokenClip(){
+    if(!slideshow.playing || !slideshow.waitingForClip) return;
+    clearSlideTimers();
+    slideshow.timer = setTimeout(showNextPhoto, slideInterval());
+  }
+
+  // Called by openModal whenever the slide changes.
+  function slideChanged(){
+    if(slideshow.playing){ startSlide(); return; }
+    // paused on one slide, then navigated: the next resume starts this slide fresh
+    slideshow.elapsed = 0; slideshow.waitingForClip = false;
+    kenBurns(false); setSlideProgress(0);
+  }
+
+  function updatePlayButton(){
+    dom.modalPlay.textContent = slideshow.playing ? '❚❚ Pause' : (slideshow.paused ? '▶ Resume' : '▶ Slideshow');
+    dom.modalPlay.setAttribute('aria-pressed', String(slideshow.playing));
+    dom.photoModal.classList.toggle('slideshow-on', slideshow.playing || slideshow.paused);
+  }
+
+  function startSlideshow(index){
+    slideshow.playing = true; slideshow.paused = false;
+    updatePlayButton();
+    if(!isModalOpen() || index !== undefined) openModal(index !== undefined ? index : currentPhotoIndex);
+    else startSlide();
+  }
+
+  function pauseSlideshow(){
+    if(!slideshow.playing) return;
+    if(!slideshow.waitingForClip) slideshow.elapsed += performance.now() - slideshow.slideStart;
+    slideshow.playing = false; slideshow.paused = true;
+    clearSlideTimers();
+    if(slideshow.waitingForClip) dom.modalVideo.pause();
+    else dom.modalImg.classList.add('kb-paused');
+    updatePlayButton();
+  }
+
+  function resumeSlideshow(){
+    if(!slideshow.paused) return;
+    slideshow.playing = true; slideshow.paused = false;
+    updatePlayButton();
+    if(slideshow.waitingForClip){ playClip(); return; }
+    if(dom.modalImg.classList.contains('kenburns')) dom.modalImg.classList.remove('kb-paused');
+    else kenBurns(true);
+    runSlideTimer();
+  }
+
+  function stopSlideshow(){
+    slideshow.playing = false; slideshow.paused = false; slideshow.waitingForClip = false; slideshow.elapsed = 0;
+    clearSlideTimers();
+    kenBurns(false); setSlideProgress(0);
+    updatePlayButton();
+  }
+
+  function toggleSlideshow(){
+    if(slideshow.playing) pauseSlideshow();
+    else if(slideshow.paused) resumeSlideshow();
+    else startSlideshow();
+  }
+
+  dom.modalPlay.addEventListener('click', toggleSlideshow);
+  let slideshowBeforeHide = false;
+  onPageVisibility(()=>{ slideshowBeforeHide = slideshow.playing; pauseSlideshow(); }, ()=>{ if(slideshowBeforeHide) resumeSlideshow(); });
+  dom.playSlideshowBtn && dom.playSlideshowBtn.addEventListener('click', ()=> startSlideshow(0));
+  dom.slideshowInterval.value = String(CONFIG.slideshowInterval);
+  dom.slideshowInterval.addEventListener('change', ()=>{
+    if(slideshow.playing && !slideshow.waitingForClip){
+      slideshow.elapsed += performance.now() - slideshow.slideStart;
+      runSlideTimer();
+    }
+  });
+
+  // clips drive the show themselves: progress follows playback, the end advances
+  dom.modalVideo.addEventListener('timeupdate', ()=>{
+    if(slideshow.waitingForClip && dom.modalVideo.duration) setSlideProgress(dom.modalVideo.currentTime / dom.modalVideo.duration);
+  });
+  dom.modalVideo.addEventListener('ended', ()=>{ if(slideshow.playing) showNextPhoto(); });
+  dom.modalVideo.addEventListener('error', skipBrokenClip);
+
+  /* ====================================================================== */
+  /* Love Letter: rich-text typewriter with pacing, skip and replay          */
+  /* ====================================================================== */
+  // Letter markup (content.js letter.paragraphs):
+  //   *soft*  **strong**  ~handwritten~  ![alt](src) inline image or sticker
+  //   "# " at the start of a paragraph makes it a heading
+  //   {pause 800} waits 800ms before typing on; {speed 0.5} types at half speed
+  //   from there on ({speed 1} resets); a backslash keeps the next character literal
+  // The letter is parsed into steps (one per character, plus markup and directives);
+  // the typewriter applies them to the DOM one at a time and progress.letterPos
+  // counts the steps done. Screen readers get a full copy rendered once instead.
+  function parseLetter(paragraphs){
+    const marks = {'**': ['strong', ''], '*': ['em', ''], '~': ['span', 'letter-hand']};
+    const steps = [], errors = [];
+    paragraphs.forEach((para, pi)=>{
+      const heading = /^#\s+/.test(para);
+      const text = heading ? para.replace(/^#\s+/, '') : para;
+      const open = []; // marks opened in this paragraph, innermost last
+      steps.push({kind: 'open', tag: heading ? 'h3' : 'p', cls: heading ? 'letter-heading' : ''});
+      let i = 0;
+      while(i < text.length){
+        const rest = text.slice(i);
+        const ch = text[i];
+        let m;
+        if(ch === '\\' && i + 1 < text.length){ steps.push({kind: 'char', ch: text[i+1]}); i += 2; continue; }
+        if(ch === '\n'){ steps.push({kind: 'br'}); i += 1; continue; }
+        if(ch === '{'){
+          m = /^\{(pause|speed)\s+(\d+(?:\.\d+)?)\}/.exec(rest);
+          if(!m || (m[1] === 'speed' && Number(m[2]) <= 0)){
+            errors.push(`paragraphs[${pi}]: unknown directive "${rest.split('}')[0]}}" (use {pause ms} or {speed n}, or \\{ for a literal brace)`);
+            i += 1; continue;
+          }
+          steps.push(m[1] === 'pause' ? {kind: 'pause', ms: Number(m[2])} : {kind: 'speed', value: Number(m[2])});
+          i += m[0].length; continue;
+        }
+        if(ch === '!' && (m = /^!\[([^\]]*)\]\(([^)\s]+)\)/.exec(rest))){ steps.push({kind: 'img', alt: m[1], src: m[2]}); i += m[0].length; continue; }
+        const mark = rest.startsWith('**') ? '**' : (ch === '*' || ch === '~' ? ch : null);
+        if(mark){
+          if(open[open.length-1] === mark){ open.pop(); steps.push({kind: 'close'}); }
+          else { open.push(mark); steps.push({kind: 'open', tag: marks[mark][0], cls: marks[mark][1]}); }
+          i += mark.length; continue;
+        }
+        steps.push({kind: 'char', ch});
+        i += 1;
+      }
+      if(open.length) errors.push(`paragraphs[${pi}]: "${open.join('", "')}" is opened but never closed`);
+      open.forEach(()=> steps.push({kind: 'close'}));
+      steps.push({kind: 'close'});
+    });
+    return {steps, errors};
+  }
+
+  // v3 saved a character offset into the plain letter (paragraphs joined by a
+  // blank line); find the step that had typed the same text.
+  function letterStepForOffset(steps, offset){
+    let chars = 0, depth = 0;
+    for(let i = 0; i < steps.length; i++){
+      if(chars >= offset) return i;
+      const s = steps[i];
+      if(s.kind === 'open') depth += 1;
+      else if(s.kind === 'close'){ depth -= 1; if(depth === 0) chars += 2; }
+      else if(s.kind === 'char' || s.kind === 'br' || s.kind === 'img') chars += 1;
+    }
+    return steps.length;
+  }
+
+  // A writer appends steps under `root`, keeping the open elements on a stack.
+  function letterWriter(root){ root.textContent = ''; return {stack: [root], text: null, speed: 1}; }
+
+  function applyLetterStep(w, step){
+    const parent = w.stack[w.stack.length-1];
+    if(step.kind === 'char'){
+      // grow one text node per run instead of re-rendering the letter
+      if(!w.text){ w.text = document.createTextNode(''); parent.appendChild(w.text); }
+      w.text.appendData(step.ch);
+      return;
+    }
+    w.text = null;
+    if(step.kind === 'open'){
+      const el = createEl(step.tag);
+      if(step.cls) el.className = step.cls;
+      parent.appendChild(el); w.stack.push(el);
+    } else if(step.kind === 'close') w.stack.pop();
+    else if(step.kind === 'br') parent.appendChild(createEl('br'));
+    else if(step.kind === 'img') parent.appendChild(createEl('img', {className: 'letter-inline', src: step.src, alt: step.alt}));
+    else if(step.kind === 'speed') w.speed = step.value;
+  }
+
+  const letterSteps = parseLetter(CONTENT.letter.paragraphs).steps;
+  const cursorEl = createEl('span', {className: 'cursor'});
+
+  // the accessible copy: whole letter, once
+  if(dom.letterFull){ const full = letterWriter(dom.letterFull); letterSteps.forEach(s=> applyLetterStep(full, s)); }
+
+  // Typewriter state (resumes where the last visit stopped)
+  let typePos = Math.min(progress.letterPos, letterSteps.length);
+  let typing = true; // false while paused by the visitor (or a hidden tab)
+  let typeTimer = null;
+  let writer = letterWriter(dom.typewriterEl);
+  for(let i = 0; i < typePos; i++) applyLetterStep(writer, letterSteps[i]);
+
+  function letterDone(){ return typePos >= letterSteps.length; }
+
+  function typeStep(){
+    if(!typing) return;
+    // calm mode: no typing effect, the whole letter at once
+    if(isCalm()){ skipLetter(); return; }
+    if(letterDone()){ finishLetter(); return; }
+    setDucked(true);
+    // markup and speed changes take no time: apply them with the next visible step
+    let delay = 0;
+    while(!delay && !letterDone()){
+      const step = letterSteps[typePos++];
+      applyLetterStep(writer, step);
+      if(step.kind === 'pause') delay = step.ms;
+      else if(step.kind === 'char' || step.kind === 'br' || step.kind === 'img') delay = (CONFIG.typingSpeed + Math.random()*20) / writer.speed;
+    }
+    writer.stack[writer.stack.length-1].appendChild(cursorEl);
+    progress.letterPos = typePos; saveProgressSoon();
+    typeTimer = setTimeout(typeStep, delay);
+  }
+
+  function finishLetter(){
+    clearTimeout(typeTimer);
+    cursorEl.remove();
+    setDucked(false);
+    updateLetterControls();
+  }
+
+  function skipLetter(){
+    clearTimeout(typeTimer);
+    while(!letterDone()) applyLetterStep(writer, letterSteps[typePos++]);
+    progress.letterPos = typePos; saveProgress();
+    finishLetter();
+  }
+
+  function replayLetter(){
+    clearTimeout(typeTimer);
+    typePos = 0; typing = true;
+    writer = letterWriter(dom.typewriterEl);
+    progress.letterPos = 0; saveProgress();
+    updateLetterControls();
+    typeStep();
+  }
+
+  function pauseTyping(){ typing = false; clearTimeout(typeTimer); setDucked(false); updateLetterControls(); }
+  function resumeTyping(){ if(!typing){ typing = true; updateLetterControls(); typeStep(); } }
+
+  function updateLetterControls(){
+    const done = letterDone();
+    dom.pauseLetterBtn.disabled = done || !typing;
+    dom.resumeLetterBtn.disabled = done || typing;
+    if(dom.skipLetterBtn) dom.skipLetterBtn.disabled = done;
+  }
+
+  dom.pauseLetterBtn.addEventListener('click', pauseTyping);
+  dom.resumeLetterBtn.addEventListener('click', resumeTyping);
+  dom.skipLetterBtn && dom.skipLetterBtn.addEventListener('click', skipLetter);
+  dom.replayLetterBtn && dom.replayLetterBtn.addEventListener('click', replayLetter);
+  updateLetterControls();
+
+  // start the typewriter gently after load
+  setTimeout(()=>{ typeStep(); }, 700);
+  // switching to calm mid-letter finishes it; a hidden tab holds the typing
+  motionListeners.push(calm=>{ if(calm && typing && !letterDone()) skipLetter(); });
+  let typingBeforeHide = false;
+  onPageVisibility(()=>{ typingBeforeHide = typing; if(typing){ typing = false; clearTimeout(typeTimer); setDucked(false); } }, ()=>{ if(typingBeforeHide){ typing = true; typeStep(); } });
+
+  /* ====================================================================== */
+  /* Mini-game: Click the hearts (timed rounds, levels, combos, high scores) */
+  /* ====================================================================== */
+  // A round lasts CONFIG.game.duration; levels (by score) speed up spawning and shorten
+  // heart lifetimes, broken hearts cost points and quick consecutive catches build a combo.
+  let score = 0;
+  let gameRunning = false;
+  let activeHearts = [];
+  let gameTimer = null;
+  let spawnTimer = null;
+  let gameEndsAt = 0;
+  let round = null; // stats for the round in progress / last round
+
+  function gameDifficulty(){ return CONFIG.game.difficulties[dom.gameDifficulty.value] || CONFIG.game.difficulties.normal; }
+
+  function levelFor(points){
+    let idx = 0;
+    CONFIG.game.levels.forEach((lv, i)=>{ if(points >= lv.at) idx = i; });
+    return idx;
+  }
+
+  function comboMultiplier(combo){ return clamp(1 + Math.floor((combo - 1) / CONFIG.game.comboStep), 1, CONFIG.game.maxMultiplier); }
+
+  function formatTime(ms){ const sec = Math.ceil(Math.max(0, ms) / 1000); return `${Math.floor(sec/60)}:${String(sec%60).padStart(2,'0')}`; }
+
+  function updateHud(){
+    dom.scoreEl.textContent = score;
+    dom.gameLevel.textContent = round ? round.level + 1 : 1;
+    dom.gameCombo.textContent = '×' + comboMultiplier(round && round.combo ? round.combo : 1);
+    dom.gameTimerEl.textContent = formatTime(gameRunning ? gameEndsAt - Date.now() : CONFIG.game.duration);
+  }
+
+  // floating "+2" / "-5" label where the heart was
+  function scorePop(h, text, bad){
+    const pop = createEl('div', {className: 'score-pop' + (bad ? ' bad' : ''), textContent: text});
+    pop.style.left = h.style.left; pop.style.top = h.style.top;
+    dom.heartsArea.appendChild(pop);
+    setTimeout(()=> pop.remove(), 700);
+  }
+
+  function removeHeart(h){ clearTimeout(h._life); h.remove(); activeHearts = activeHearts.filter(x=>x!==h); }
+
+  function spawnHeart(){
+    if(!dom.heartsArea) return;
+    const level = CONFIG.game.levels[round.level];
+    const diff = gameDifficulty();
+    const bad = Math.random() < level.badChance * diff.bad;
+    const area = dom.heartsArea.getBoundingClientRect();
+    const h = createEl('div');
+    h.className = 'game-heart' + (bad ? ' bad' : '');
+    h.style.left = rand(6, area.width - 54) + 'px';
+    h.style.top = rand(6, area.height - 54) + 'px';
+    h.textContent = bad ? occasion().badHeart : occasion().heart;
+    h.setAttribute('role', 'button');
+    h.setAttribute('aria-label', bad ? 'Broken heart — avoid' : 'Heart');
+    dom.heartsArea.appendChild(h);
+    activeHearts.push(h);
+
+    // hearts vanish sooner on higher levels
+    h._life = setTimeout(()=> removeHeart(h), level.life * diff.pace);
+
+    // click handler
+    h.addEventListener('click', (ev)=>{
+      ev.stopPropagation();
+      if(!gameRunning || h.classList.contains('pop')) return;
+      // pop animation
+      h.classList.add('pop');
+      clearTimeout(h._life);
+      setTimeout(()=> removeHeart(h), 220);
+      if(bad) catchBadHeart(h); else catchHeart(h);
+    });
+  }
+
+  function catchHeart(h){
+    const now = Date.now();
+    round.combo = now - round.lastCatchAt <= CONFIG.game.comboWindow ? round.combo + 1 : 1;
+    round.lastCatchAt = now;
+    round.bestCombo = Math.max(round.bestCombo, round.combo);
+    round.caught += 1;
+    const mult = comboMultiplier(round.combo);
+    score += mult;
+    scorePop(h, '+' + mult);
+    playEffect('pop');
+    if(round.caught % 5 === 0){ const cheers = CONTENT.game.cheers; dom.scoreMsg.textContent = cheers[Math.floor(Math.random()*cheers.length)]; }
+    const level = levelFor(score);
+    if(level > round.level){
+      round.level = level;
+      dom.scoreMsg.textContent = CONTENT.game.levelUp.replace('{level}', level + 1);
+      const accent = themeVar('--accent-rgb') || '255,111,145';
+      animateMotion(dom.heartsArea, [{boxShadow:`0 0 0 0 rgba(${accent},0.4)`},{boxShadow:`0 0 0 14px rgba(${accent},0)`}],{duration:600});
+    }
+    updateHud();
+  }
+
+  function catchBadHeart(h){
+    const penalty = CONFIG.game.badPenalty;
+    score = Math.max(0, score - penalty);
+    round.bad += 1; round.combo = 0; round.lastCatchAt = 0;
+    scorePop(h, '-' + penalty, true);
+    playEffect('wrong');
+    dom.scoreMsg.textContent = CONTENT.game.bad;
+    animateMotion(dom.heartsArea, [{transform:'translateX(-4px)'},{transform:'translateX(4px)'},{transform:'translateX(0)'}],{duration:300});
+    updateHud();
+  }
+
+  // Reschedules itself so a level change takes effect on the very next spawn.
+  function scheduleSpawn(){
+    const level = CONFIG.game.levels[round.level];
+    spawnTimer = setTimeout(()=>{
+      if(!gameRunning) return;
+      if(activeHearts.length < level.maxHearts) spawnHeart();
+      scheduleSpawn();
+    }, level.spawnEvery * gameDifficulty().pace);
+  }
+
+  function clearHearts(){ activeHearts.forEach(h=>{ clearTimeout(h._life); h.remove(); }); activeHearts = []; }
+
+  function startGame(){
+    if(gameRunning) return;
+    gameRunning = true;
+    score = 0;
+    round = {level: 0, combo: 0, bestCombo: 0, lastCatchAt: 0, caught: 0, bad: 0, difficulty: dom.gameDifficulty.value};
+    gameEndsAt = Date.now() + CONFIG.game.duration;
+    gameHiddenAt = 0;
+    dom.gameSummary.hidden = true;
+    dom.gameDifficulty.disabled = true;
+    dom.scoreMsg.textContent = CONTENT.game.start;
+    updateHud();
+    spawnHeart();
+    runGameClock();
+  }
+
+  function runGameClock(){
+    scheduleSpawn();
+    gameTimer = setInterval(()=>{
+      // an expired combo window drops the multiplier back to ×1
+      if(round.combo && Date.now() - round.lastCatchAt > CONFIG.game.comboWindow) round.combo = 0;
+      updateHud();
+      if(Date.now() >= gameEndsAt) stopGame();
+    }, 200);
+  }
+
+  // A hidden tab stops the clock; the time left is the same when the visitor returns.
+  let gameHiddenAt = 0;
+  onPageVisibility(()=>{
+    if(!gameRunning) return;
+    gameHiddenAt = Date.now();
+    clearInterval(gameTimer); clearTimeout(spawnTimer);
+  }, ()=>{
+    if(!gameRunning || !gameHiddenAt) return;
+    gameEndsAt += Date.now() - gameHiddenAt;
+    gameHiddenAt = 0;
+    runGameClock();
+  });
+
+  // Ends the round (on time-out, or early) and shows the summary.
+  function stopGame(){
+    if(!gameRunning) return;
+    gameRunning = false;
+    clearInterval(gameTimer); clearTimeout(spawnTimer);
+    clearHearts();
+    dom.gameDifficulty.disabled = false;
+    dom.gameTimerEl.textContent = formatTime(0);
+    showGameSummary();
+  }
+
+  function resetGame(){
+    gameRunning = false;
+    clearInterval(gameTimer); clearTimeout(spawnTimer);
+    clearHearts();
+    score = 0; round = null;
+    dom.gameDifficulty.disabled = false;
+    dom.gameSummary.hidden = true;
+    updateHud();
+    dom.scoreMsg.textContent = CONTENT.game.reset;
+  }
+
+  function qualifiesForHighScores(points){
+    const table = progress.highScores;
+    return points > 0 && (table.length < CONFIG.game.highScores || points > table[table.length-1].score);
+  }
+
+  function showGameSummary(){
+    const won = score >= CONFIG.heartGameMax;
+    const title = won ? CONTENT.game.win : CONTENT.game.timeUp;
+    dom.gameSummaryTitle.textContent = title;
+    dom.scoreMsg.textContent = title;
+    const stats = [
+      ['Score', score],
+      ['Level reached', round.level + 1],
+      ['Hearts caught', round.caught],
+      ['Broken hearts', round.bad],
+      ['Best combo', `${round.bestCombo} in a row (×${comboMultiplier(round.bestCombo || 1)})`],
+      ['Difficulty', dom.gameDifficulty.options[dom.gameDifficulty.selectedIndex].text],
+    ];
+    dom.gameStats.innerHTML = '';
+    stats.forEach(([k, v])=> dom.gameStats.append(createEl('dt', {textContent: k}), createEl('dd', {textContent: String(v)})));
+    if(score > progress.bestScore){ progress.bestScore = score; saveProgress(); }
+    dom.bestScoreEl.textContent = progress.bestScore;
+    dom.highScoreForm.hidden = !qualifiesForHighScores(score);
+    dom.gameSummary.hidden = false;
+    if(!dom.highScoreForm.hidden){
+      if(!dom.highScoreName.value) dom.highScoreName.value = CONTENT.recipient.name;
+      dom.highScoreName.focus();
+    }
+  }
+
+  function renderHighScores(){
+    dom.highScoresList.innerHTML = '';
+    if(!progress.highScores.length){
+      dom.highScoresList.appendChild(createEl('li', {className: 'empty', textContent: 'No scores yet — be the first!'}));
+      return;
+    }
+    progress.highScores.forEach(entry=>{
+      const li = createEl('li');
+      li.append(createEl('span', {className: 'hs-name', textContent: entry.name}), createEl('span', {className: 'hs-score', textContent: `${entry.score} · lvl ${entry.level}`}));
+      dom.highScoresList.appendChild(li);
+    });
+  }
+
+  dom.highScoreForm.addEventListener('submit', (e)=>{
+    e.preventDefault();
+    if(!round || !qualifiesForHighScores(score)) return;
+    const name = dom.highScoreName.value.trim().slice(0, 24) || CONTENT.recipient.name;
+    progress.highScores.push({name, score, level: round.level + 1, difficulty: round.difficulty, date: new Date().toISOString()});
+    progress.highScores.sort((a, b)=> b.score - a.score);
+    progress.highScores = progress.highScores.slice(0, CONFIG.game.highScores);
+    saveProgress();
+    dom.highScoreForm.hidden = true;
+    renderHighScores();
+  });
+
+  dom.bestScoreEl.textContent = progress.bestScore;
+  renderHighScores();
+  updateHud();
+  dom.startGameBtn.addEventListener('click', ()=> startGame());
+  dom.resetGameBtn.addEventListener('click', resetGame);
+
+  /* ====================================================================== */
+  /* Surprise chain: riddles -> password -> decrypt the hidden message       */
+  /* ====================================================================== */
+  // Riddle answers are stored as SHA-256 hashes and the final message only as AES-GCM
+  // ciphertext; the key is derived from the typed password with PBKDF2, so a wrong
+  // password simply fails to decrypt. Confetti and fireworks are kept for the last stage.
+  // Only the stage and "opened before" are saved, never the message: a return visit shows
+  // the chain as solved and asks for the password again to read it.
+  const surpriseStages = CONTENT.surprise.stages || [];
+  // unlocked: the message is showing in this visit
+  const surpriseProgress = {stage: progress.surprise.stage, attempts: 0, unlocked: false};
+
+  // Keep in sync with tools/normalize-answer.js: case and whitespace never matter.
+  function normalizeAnswer(str){ return String(str).normalize('NFKC').toLowerCase().replace(/\s+/g,''); }
+
+  async function sha256Hex(str){
+    const buf = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(str));
+    return Array.from(new Uint8Array(buf), b=>b.toString(16).padStart(2,'0')).join('');
+  }
+
+  function base64ToBytes(b64){ return Uint8Array.from(atob(b64), ch=>ch.charCodeAt(0)); }
+
+  async function decryptSurprise(password){
+    const blob = CONTENT.surprise.encrypted;
+    const subtle = window.crypto && window.crypto.subtle;
+    if(!subtle) throw new Error('Web Crypto is unavailable (the page must be served over https or localhost)');
+    const baseKey = await subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+    const key = await subtle.deriveKey(
+      {name:'PBKDF2', hash:'SHA-256', salt: base64ToBytes(blob.salt), iterations: blob.iterations},
+      baseKey, {name:'AES-GCM', length:256}, false, ['decrypt']
+    );
+    const plain = await subtle.decrypt({name:'AES-GCM', iv: base64ToBytes(blob.iv)}, key, base64ToBytes(blob.data));
+    return JSON.parse(new TextDecoder().decode(plain));
+  }
+
+  function isFinalStage(){ return surpriseProgress.stage >= surpriseStages.length; }
+
+  // Syncs label, input, hint, progress dots and status with the current stage.
+  function renderSurpriseStage(){
+    const final = isFinalStage();
+    const stage = final ? CONTENT.surprise : surpriseStages[surpriseProgress.stage];
+    const total = surpriseStages.length + 1;
+
+    dom.surpriseSteps.innerHTML = '';
+    if(total > 1){
+      for(let i=0;i<total;i++){
+        const li = createEl('li', {className: 'surprise-step'});
+        if(surpriseProgress.unlocked || progress.surprise.unlocked || i < surpriseProgress.stage) li.classList.add('done');
+        else if(i === surpriseProgress.stage) li.classList.add('current');
+        li.setAttribute('aria-label', `Step ${i+1}${i === total-1 ? ' (final)' : ''}`);
+        dom.surpriseSteps.appendChild(li);
+      }
+    }
+    dom.surpriseStatus.textContent = surpriseProgress.unlocked ? ''
+      : progress.surprise.unlocked ? 'Opened before — type the password again to read it 🔐'
+      : (total > 1 ? `Step ${Math.min(surpriseProgress.stage+1, total)} of ${total}` : '');
+    dom.surpriseForm.hidden = surpriseProgress.unlocked;
+
+    dom.surpriseLabel.textContent = final ? CONTENT.surprise.label : stage.question;
+    dom.surprisePwInput.type = final ? 'password' : 'text';
+    dom.surprisePwInput.placeholder = final ? CONTENT.surprise.placeholder : CONTENT.surprise.answerPlaceholder;
+    // hints unlock after N wrong attempts on this stage
+    const showHint = Boolean(stage.hint) && surpriseProgress.attempts >= (stage.hintAfter || 0);
+    dom.surpriseHint.textContent = showHint ? stage.hint : '';
+    dom.surpriseHint.hidden = !showHint;
+  }
+
+  function addSurpriseClue(reveal){
+    const card = createEl('div', {className: 'surprise-clue'});
+    card.append(createEl('h4', {textContent: reveal.title}), createEl('p', {textContent: reveal.text}));
+    dom.surpriseClues.appendChild(card);
+    return card;
+  }
+
+  // Shows the decrypted message without any celebration (used when reopening it on a later visit).
+  function showSurpriseMessage(message){
+    dom.surpriseMessage.querySelector('h3').textContent = message.title;
+    dom.surpriseMessage.querySelector('p').textContent = message.text;
+    dom.surpriseMessage.hidden = false;
+  }
+
+  function revealSurprise(message){
+    const openedBefore = progress.surprise.unlocked;
+    surpriseProgress.unlocked = true;
+    progress.surprise = {stage: surpriseProgress.stage, unlocked: true};
+    saveProgress();
+    renderSurpriseStage();
+    if(openedBefore){ showSurpriseMessage(message); return; }
+    // success: show confetti and reveal message
+    triggerConfetti();
+    showSurpriseMessage(message);
+    dom.surpriseMessage.querySelector('h3').classList.add('glow');
+    // scroll to final message after a moment
+    setTimeout(()=>{
+      dom.finalSection.scrollIntoView({behavior:'smooth'});
+      triggerFireworks();
+    }, 800);
+  }
+
+  function rejectPassword(){
+    playEffect('wrong');
+    // small shake for wrong password
+    animateMotion(dom.surprisePwInput, [{transform:'translateX(-6px)'},{transform:'translateX(6px)'},{transform:'translateX(0)'}],{duration:420});
+    dom.surprisePwInput.value = '';
+    dom.surprisePwInput.placeholder = CONTENT.surprise.retryPlaceholder;
+  }
+
+  // Resolves true when the stage was passed; wrong answers resolve false.
+  async function submitSurpriseAnswer(raw){
+    const answer = normalizeAnswer(raw);
+    if(!answer) return false;
+    if(!isFinalStage()){
+      const stage = surpriseStages[surpriseProgress.stage];
+      if(!stage.answers.includes(await sha256Hex(answer))) return false;
+      const card = addSurpriseClue(stage.reveal);
+      tinyHeartBurst(6, card);
+      surpriseProgress.stage += 1; surpriseProgress.attempts = 0;
+      progress.surprise.stage = surpriseProgress.stage; saveProgress();
+      renderSurpriseStage();
+      return true;
+    }
+    let message;
+    try{ message = await decryptSurprise(answer); }
+    catch(err){
+      // AES-GCM reports a wrong key as an OperationError; anything else is a real failure
+      if(err && err.name === 'OperationError') return false;
+      throw err;
+    }
+    revealSurprise(message);
+    return true;
+  }
+
+  dom.surpriseForm.addEventListener('submit', async (e)=>{
+    e.preventDefault();
+    const submitBtn = dom.surpriseForm.querySelector('[type="submit"]');
+    submitBtn.disabled = true; // key derivation takes a moment on phones
+    try{
+      if(await submitSurpriseAnswer(dom.surprisePwInput.value)){
+        dom.surprisePwInput.value = '';
+        if(!surpriseProgress.unlocked) dom.surprisePwInput.focus();
+      } else {
+        surpriseProgress.attempts += 1;
+        renderSurpriseStage();
+        rejectPassword();
+      }
+    } catch(err){
+      console.error('Surprise unlock failed:', err);
+      rejectPassword();
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+
+  // resume: rebuild clues from solved stages (an opened message waits for the password)
+  surpriseStages.slice(0, surpriseProgress.stage).forEach(st=> addSurpriseClue(st.reveal));
+  renderSurpriseStage();
+
   /* ====================================================================== */
-  /* Confetti generator (creates DOM pieces and animates via CSS)            */
+  /* Wishes wall: friends' messages from a pluggable source                 */
   /* ====================================================================== */
+  // content.wishes picks a source from WISH_SOURCES; without one the section is
+  // hidden. Whatever a source returns is treated as untrusted: markup is stripped to
+  // plain text, values are cut to CONFIG.wishes limits, photos must be http(s) or
+  // relative, and only wishes whose moderation flag (status) is "approved" — or
+  // unset, for a hand-written static file — are shown. Cards render via textContent.
+  const wishSource = CONTENT.wishes ? WISH_SOURCES[CONTENT.wishes.source](CONTENT.wishes) : null;
+  const WISH_STATUSES = ['approved', 'pending', 'hidden'];
+
+  // Text only: tags dropped, entities decoded (an inert document, nothing loads or runs).
+  function plainText(value){
+    const doc = new DOMParser().parseFromString(String(value), 'text/html');
+    return doc.body.textContent.replace(/\r\n?/g, '\n').replace(/[^\S\n]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  function clip(text, max){ return text.length > max ? text.slice(0, max - 1).trimEnd() + '…' : text; }
+
+  function safePhotoUrl(value){
+    const raw = typeof value === 'string' ? value.trim() : '';
+    if(!raw || raw.length > CONFIG.wishes.maxPhoto) return '';
+    // relative paths are fine; absolute URLs only over http(s) (no javascript:, data:, …)
+    if(!/^[a-z][a-z0-9+.-]*:/i.test(raw) && !raw.startsWith('//')) return raw;
+    try{ return /^https?:$/.test(new URL(raw).protocol) ? raw : ''; } catch(err){ return ''; }
+  }
+
+  // A raw wish as a clean {id, name, text, photo, status}, or null when unusable.
+  function cleanWish(raw){
+    if(!raw || typeof raw !== 'object') return null;
+    const lim = CONFIG.wishes;
+    const name = clip(plainText(raw.name || ''), lim.maxName);
+    const text = clip(plainText(raw.text || ''), lim.maxText);
+    if(!name || !text) return null;
+    const status = raw.status === undefined ? 'approved' : raw.status;
+    return {id: raw.id === undefined ? '' : String(raw.id), name, text, photo: safePhotoUrl(raw.photo), status: WISH_STATUSES.includes(status) ? status : 'hidden'};
+  }
+
+  function wishCard(wish, i){
+    const card = createEl('article', {className: 'wish-card'});
+    card.style.setProperty('--i', String(i));
+    card.style.setProperty('--tilt', `${rand(-2.2, 2.2).toFixed(2)}deg`);
+    if(wish.photo){
+      const img = createEl('img', {className: 'wish-photo', src: wish.photo, alt: `Photo from ${wish.name}`, loading: 'lazy', referrerPolicy: 'no-referrer'});
+      img.addEventListener('error', ()=> img.remove()); // a dead link just drops the photo
+      card.appendChild(img);
+    }
+    card.append(createEl('p', {className: 'wish-text', textContent: wish.text}), createEl('p', {className: 'wish-name', textContent: `— ${wish.name}`}));
+    return card;
+  }
+
+  function renderWishes(wishes){
+    const shown = wishes.filter(w=> w.status === 'approved').slice(0, CONFIG.wishes.maxShown);
+    dom.wishesList.innerHTML = '';
+    shown.forEach((w, i)=> dom.wishesList.appendChild(wishCard(w, i)));
+    dom.wishesStatus.textContent = shown.length ? '' : (wishSource.add ? 'No wishes yet — be the first!' : 'No wishes yet.');
+  }
+
+  async function loadWishes(){
+    dom.wishesStatus.textContent = 'Loading wishes…';
+    try{
+      const raw = await wishSource.list();
+      if(!Array.isArray(raw)) throw new Error('the wish source did not return an array');
+      renderWishes(raw.map(cleanWish).filter(Boolean));
+    } catch(err){
+      console.warn('Wishes could not be loaded:', err);
+      dom.wishesStatus.textContent = 'The wishes can’t be loaded right now.';
+    }
+  }
+
+  // Same rules as cleanWish, but the sender gets told instead of silently trimmed.
+  function checkWishForm(f){
+    const lim = CONFIG.wishes;
+    const name = plainText(f.name.value), text = plainText(f.text.value), photo = f.photo.value.trim();
+    if(!name) return {error: 'Please add your name.', field: f.name};
+    if(name.length > lim.maxName) return {error: `Names can be up to ${lim.maxName} characters.`, field: f.name};
+    if(!text) return {error: 'Please write a wish.', field: f.text};
+    if(text.length > lim.maxText) return {error: `Wishes can be up to ${lim.maxText} characters.`, field: f.text};
+    if(photo && !safePhotoUrl(photo)) return {error: 'The photo needs to be an http(s) link.', field: f.photo};
+    return {wish: photo ? {name, text, photo} : {name, text}};
+  }
+
+  function updateWishCount(){
+    const left = CONFIG.wishes.maxText - dom.wishForm.elements.text.value.length;
+    dom.wishCount.textContent = `${left} left`;
+    dom.wishCount.classList.toggle('over', left < 0);
+  }
+
+  async function submitWish(e){
+    e.preventDefault();
+    const f = dom.wishForm.elements;
+    const checked = checkWishForm(f);
+    if(checked.error){ dom.wishFormStatus.textContent = checked.error; checked.field.focus(); return; }
+    f.send.disabled = true;
+    dom.wishFormStatus.textContent = 'Sending…';
+    try{
+      const saved = cleanWish(await wishSource.add(checked.wish));
+      dom.wishForm.reset(); updateWishCount();
+      if(saved && saved.status === 'approved'){
+        const card = wishCard(saved, 0);
+        card.classList.add('is-new');
+        dom.wishesList.prepend(card);
+        dom.wishesStatus.textContent = '';
+        dom.wishFormStatus.textContent = 'Thank you! Your wish is on the wall 💌';
+        tinyHeartBurst(6, card);
+      } else {
+        dom.wishFormStatus.textContent = 'Thank you! Your wish will appear once it’s approved 💌';
+      }
+    } catch(err){
+      console.warn('Sending a wish failed:', err);
+      dom.wishFormStatus.textContent = 'That didn’t go through — please try again in a moment.';
+    } finally {
+      f.send.disabled = false;
+    }
+  }
+
+  if(!wishSource || !dom.wishesSection){
+    if(dom.wishesSection) dom.wishesSection.hidden = true;
+    const link = document.querySelector('.nav-list a[href="#wishes"]');
+    if(link) link.parentElement.hidden = true;
+  } else {
+    if(wishSource.add && dom.wishForm){
+      const f = dom.wishForm.elements, lim = CONFIG.wishes;
+      f.name.maxLength = lim.maxName; f.text.maxLength = lim.maxText; f.photo.maxLength = lim.maxPhoto;
+      dom.wishForm.hidden = false;
+      dom.wishForm.addEventListener('submit', submitWish);
+      f.text.addEventListener('input', updateWishCount);
+      updateWishCount();
+    }
+    loadWishes();
+  }
+
+  /* ====================================================================== */
+  /* Particle engine: confetti & fireworks on one canvas                     */
+  /* ====================================================================== */
+  // Every effect shares one full-screen <canvas> (inside #confetti) and one rAF loop
+  // that only runs while particles are alive. Particles have simple physics (gravity,
+  // drag, spin, a slowly turning wind) and a shape: ribbon, heart, star, rect or spark.
+  // Fireworks are staged: a rocket rises with a trail, bursts into sparks, and some
+  // sparks crackle into a second, smaller burst. If frames run long the engine lowers
+  // `quality`, which scales how many particles new effects spawn and caps the total.
+  const engine = {canvas: null, ctx: null, list: [], raf: 0, last: 0, frameAvg: 16.7, quality: 1, time: 0, dpr: 1, colors: null};
+
+  function ensureCanvas(){
+    if(engine.canvas) return engine.ctx;
+    const canvas = createEl('canvas', {className: 'particles-canvas'});
+    (dom.confettiRoot || document.body).appendChild(canvas);
+    engine.canvas = canvas;
+    engine.ctx = canvas.getContext ? canvas.getContext('2d') : null;
+    sizeCanvas();
+    window.addEventListener('resize', sizeCanvas);
+    return engine.ctx;
+  }
+
+  function sizeCanvas(){
+    const c = engine.canvas;
+    engine.dpr = Math.min(window.devicePixelRatio || 1, 2);
+    c.width = Math.round(window.innerWidth * engine.dpr);
+    c.height = Math.round(window.innerHeight * engine.dpr);
+    c.style.width = window.innerWidth + 'px';
+    c.style.height = window.innerHeight + 'px';
+  }
+
+  // the palette's --particle-colors, falling back to CONFIG.particles.colors
+  function readParticleColors(){
+    const list = themeVar('--particle-colors').split(',').map(c=> c.trim()).filter(Boolean);
+    engine.colors = list.length ? list : CONFIG.particles.colors;
+  }
+  themeListeners.push(readParticleColors);
+
+  function pickColor(){
+    if(!engine.colors) readParticleColors();
+    return engine.colors[Math.floor(Math.random() * engine.colors.length)];
+  }
+
+  // How many particles an effect may add right now (frame budget + global cap).
+  function particleBudget(wanted){
+    const cap = Math.floor(CONFIG.particles.maxParticles * engine.quality) - engine.list.length;
+    return Math.max(0, Math.min(Math.round(wanted * engine.quality), cap));
+  }
+
+  function addParticle(p){
+    engine.list.push({
+      vx: 0, vy: 0, rot: 0, spin: 0, size: 8, age: 0, life: 2, drag: 0.5, gravity: 1, wind: 1,
+      shape: 'rect', color: pickColor(), flutter: 0, trail: null, onExpire: null, ...p,
+    });
+  }
+
+  function startEngine(){
+    if(engine.raf || !ensureCanvas()) return;
+    engine.last = performance.now();
+    engine.raf = requestAnimationFrame(engineTick);
+  }
+
+  function engineTick(now){
+    const frame = now - engine.last; engine.last = now;
+    // a long gap (hidden tab, breakpoint) is not a slow frame; cap the step either way
+    if(frame < 250) trackFrameBudget(frame);
+    const dt = Math.min(frame, 50) / 1000;
+    engine.time += dt;
+    stepParticles(dt);
+    drawParticles();
+    engine.raf = engine.list.length ? requestAnimationFrame(engineTick) : 0;
+    if(!engine.raf) clearCanvas();
+  }
+
+  function trackFrameBudget(frame){
+    const cfg = CONFIG.particles;
+    engine.frameAvg = engine.frameAvg * 0.9 + frame * 0.1;
+    if(engine.frameAvg > cfg.frameBudget){
+      engine.quality = Math.max(cfg.minQuality, engine.quality * 0.95);
+      // shed the oldest particles (first in the list) down to the new cap
+      const cap = Math.floor(cfg.maxParticles * engine.quality);
+      if(engine.list.length > cap) engine.list.splice(0, engine.list.length - cap);
+    } else if(engine.frameAvg < cfg.frameBudget * 0.75){
+      engine.quality = Math.min(1, engine.quality + 0.01);
+    }
+  }
+
+  function stepParticles(dt){
+    const cfg = CONFIG.particles;
+    const wind = cfg.wind * Math.sin(engine.time * 0.7) + cfg.wind * 0.4 * Math.sin(engine.time * 2.3);
+    const born = [];
+    engine.list = engine.list.filter(p=>{
+      p.age += dt;
+      if(p.age >= p.life){ if(p.onExpire) p.onExpire(p, born); return false; }
+      if(p.trail){ p.trail.push(p.x, p.y); if(p.trail.length > cfg.trailLength * 2) p.trail.splice(0, 2); }
+      const keep = Math.pow(p.drag, dt); // fraction of speed kept after dt seconds
+      p.vx = p.vx * keep + wind * p.wind * dt;
+      p.vy = p.vy * keep + cfg.gravity * p.gravity * dt;
+      p.x += p.vx * dt; p.y += p.vy * dt;
+      p.rot += p.spin * dt;
+      return p.y < window.innerHeight + 40;
+    });
+    born.forEach(addParticle);
+  }
+
+  function clearCanvas(){ if(engine.ctx) engine.ctx.clearRect(0, 0, engine.canvas.width, engine.canvas.height); }
+
+  function drawParticles(){
+    const ctx = engine.ctx;
+    clearCanvas();
+    ctx.save();
+    ctx.scale(engine.dpr, engine.dpr);
+    engine.list.forEach(p=>{
+      // fade out over the last 30% of a particle's life
+      const alpha = clamp((p.life - p.age) / (p.life * 0.3), 0, 1);
+      if(p.trail && p.trail.length > 2){
+        ctx.strokeStyle = p.color; ctx.lineWidth = p.size * 0.5; ctx.lineCap = 'round';
+        ctx.globalAlpha = alpha * 0.45;
+        ctx.beginPath(); ctx.moveTo(p.trail[0], p.trail[1]);
+        for(let i = 2; i < p.trail.length; i += 2) ctx.lineTo(p.trail[i], p.trail[i+1]);
+        ctx.lineTo(p.x, p.y); ctx.stroke();
+      }
+      ctx.globalAlpha = alpha;
+      ctx.fillStyle = p.color;
+      ctx.save();
+      ctx.translate(p.x, p.y); ctx.rotate(p.rot);
+      // paper flutter: the piece turns edge-on and back as it falls
+      if(p.flutter) ctx.scale(1, Math.cos(p.age * p.flutter));
+      drawShape(ctx, p.shape, p.size);
+      ctx.restore();
+    });
+    ctx.restore();
+  }
+
+  function drawShape(ctx, shape, s){
+    ctx.beginPath();
+    if(shape === 'heart'){
+      ctx.moveTo(0, s * 0.35);
+      ctx.bezierCurveTo(-s * 0.9, -s * 0.25, -s * 0.35, -s * 0.9, 0, -s * 0.4);
+      ctx.bezierCurveTo(s * 0.35, -s * 0.9, s * 0.9, -s * 0.25, 0, s * 0.35);
+    } else if(shape === 'star'){
+      for(let i = 0; i < 10; i++){
+        const r = i % 2 ? s * 0.25 : s * 0.6, a = i * Math.PI / 5 - Math.PI / 2;
+        ctx.lineTo(Math.cos(a) * r, Math.sin(a) * r);
+      }
+      ctx.closePath();
+    } else if(shape === 'ribbon'){
+      // a short wavy strip
+      const w = s * 0.35, h = s * 1.4;
+      ctx.moveTo(-w, -h/2);
+      ctx.quadraticCurveTo(w * 2, -h/4, -w, 0); ctx.quadraticCurveTo(-w * 3, h/4, -w, h/2);
+      ctx.lineTo(w, h/2);
+      ctx.quadraticCurveTo(-w, h/4, w, 0); ctx.quadraticCurveTo(w * 4, -h/4, w, -h/2);
+      ctx.closePath();
+    } else if(shape === 'spark'){
+      ctx.arc(0, 0, s / 2, 0, Math.PI * 2);
+    } else {
+      ctx.rect(-s/2, -s * 0.8, s, s * 1.6);
+    }
+    ctx.fill();
+  }
+
+  /* Confetti: a shower of paper shapes from the top of the viewport */
   function triggerConfetti(){
-    if(!dom.confettiRoot) return;
-    const colors = ['#ff6f91','#ffd166','#c4a7ff','#ff9bb3','#ffd1e6','#ffd6a5'];
-    for(let i=0;i<CONFIG.confettiCount;i++){
-      const piece = createEl('div');
-      piece.className = 'confetti-piece';
-      const size = Math.floor(rand(6,14));
-      piece.style.width = size + 'px';
-      piece.style.height = Math.floor(size*1.6) + 'px';
-      piece.style.left = rand(4,96) + '%';
-      piece.style.top = rand(-8,2) + '%';
-      piece.style.background = colors[Math.floor(rand(0,colors.length))];
-      piece.style.transform = `rotate(${rand(0,360)}deg)`;
-      piece.style.opacity = 1;
-      // random animation duration and delay
-      const dur = rand(1800, 3800);
-      const delay = rand(0, 200);
-      piece.style.animation = `confetti-fall ${dur}ms linear ${delay}ms forwards`;
-      dom.confettiRoot.appendChild(piece);
-      // cleanup
-      setTimeout(()=>{ piece.remove(); }, dur + delay + 200);
+    playEffect('confetti');
+    if(isCalm()){ calmCelebration(occasion().confetti); return; }
+    const shapes = ['ribbon', 'ribbon', 'rect', 'heart', 'star'];
+    const count = particleBudget(CONFIG.confettiCount);
+    for(let i=0;i<count;i++){
+      addParticle({
+        x: rand(0.04, 0.96) * window.innerWidth, y: rand(-0.08, 0.02) * window.innerHeight,
+        vx: rand(-60, 60), vy: rand(40, 160),
+        rot: rand(0, Math.PI * 2), spin: rand(-6, 6), flutter: rand(4, 9),
+        size: rand(7, 13), life: rand(2.6, 4.6), drag: 0.35, gravity: 0.35,
+        shape: shapes[Math.floor(Math.random() * shapes.length)],
+      });
+    }
+    startEngine();
+  }
+
+  /* Fireworks: rockets -> bursts -> crackles, launched over .final-visuals */
+  function fireworksArea(){
+    const el = document.querySelector('.final-visuals');
+    const r = el && el.getBoundingClientRect();
+    // the final section may be off-screen (e.g. called from the console): use the top of the viewport
+    if(!r || r.bottom < 0 || r.top > window.innerHeight || !r.width) return {left: 0, top: 0, width: window.innerWidth, height: window.innerHeight * 0.6};
+    return {left: r.left, top: r.top, width: r.width, height: r.height};
+  }
+
+  function burst(x, y, color, count, speed, crackle, born){
+    const n = particleBudget(count);
+    for(let i=0;i<n;i++){
+      const a = (i / n) * Math.PI * 2 + rand(-0.1, 0.1), v = speed * rand(0.55, 1);
+      born.push({
+        x, y, vx: Math.cos(a) * v, vy: Math.sin(a) * v,
+        size: rand(2.5, 4), life: rand(0.9, 1.5), drag: 0.15, gravity: 0.25, wind: 0.3,
+        shape: Math.random() < 0.15 ? 'star' : 'spark', spin: rand(-4, 4),
+        color: Math.random() < 0.7 ? color : pickColor(), trail: [],
+        // third stage: a few sparks pop into a tiny burst of their own
+        onExpire: crackle && Math.random() < 0.18 ? (p, more)=> burst(p.x, p.y, p.color, 6, 90, false, more) : null,
+      });
+    }
+  }
+
+  function triggerFireworks(){
+    if(isCalm()){ calmCelebration(occasion().fireworks); return; }
+    const area = fireworksArea();
+    const rockets = Math.max(1, Math.round(CONFIG.fireworksBursts * engine.quality));
+    for(let i=0;i<rockets;i++){
+      setTimeout(()=>{
+        const x = area.left + rand(0.1, 0.9) * area.width;
+        const peak = area.top + rand(0.1, 0.6) * area.height;
+        const fromY = Math.min(window.innerHeight + 10, area.top + area.height + 80);
+        const rise = Math.max(60, fromY - peak);
+        const color = pickColor();
+        // launch speed that tops out near `peak` under the rocket's gravity
+        const g = CONFIG.particles.gravity * 0.6;
+        addParticle({
+          x, y: fromY, vx: rand(-30, 30), vy: -Math.sqrt(2 * g * rise),
+          size: 3, life: Math.sqrt(2 * rise / g), drag: 1, gravity: 0.6, wind: 0.2,
+          shape: 'spark', color, trail: [],
+          onExpire: (p, born)=> burst(p.x, p.y, color, 36, rand(160, 260), true, born),
+        });
+        startEngine();
+      }, i * rand(160, 320));
     }
   }
 
+  motionListeners.push(calm=>{ if(calm){ engine.list = []; } });
+
   /* tiny hearts burst used in hero intro */
   function tinyHeartBurst(n, container){
+    if(isCalm() || !container) return;
     for(let i=0;i<n;i++){
       const h = createEl('div');
       h.className = 'game-heart';
-      h.textContent = '💗';
+      h.textContent = occasion().burst;
       h.style.position = 'absolute';
       h.style.left = '50%'; h.style.top = '50%';
       h.style.transform = `translate(-50%,-50%) scale(${rand(0.6,1.2)})`;
@@ -357,37 +2479,6 @@
     }
   }
 
-  /* ====================================================================== */
-  /* Fireworks: simple bursts using DOM elements and CSS sparkle animation    */
-  /* ====================================================================== */
-  function triggerFireworks(){
-    // create several bursts in final visuals
-    const root = document.querySelector('.final-visuals') || document.body;
-    for(let i=0;i<CONFIG.fireworksBursts;i++){
-      const burst = createEl('div');
-      burst.className = 'fw-burst';
-      const x = rand(10,90); const y = rand(10,70);
-      burst.style.position = 'absolute'; burst.style.left = x + '%'; burst.style.top = y + '%';
-      burst.style.width = burst.style.height = rand(40,140) + 'px';
-      burst.style.borderRadius = '50%';
-      burst.style.pointerEvents = 'none';
-      // create radial particles
-      const colors = ['#ffd166','#ff6f91','#c4a7ff','#fff1c9'];
-      for(let p=0;p<10;p++){
-        const dot = createEl('div');
-        dot.style.position='absolute'; dot.style.left='50%'; dot.style.top='50%';
-        dot.style.width = dot.style.height = rand(6,12) + 'px';
-        dot.style.background = colors[Math.floor(rand(0,colors.length))];
-        dot.style.borderRadius='50%'; dot.style.transformOrigin='center';
-        dot.style.animation = `sparkle ${600+Math.floor(rand(0,700))}ms ease-out ${Math.floor(rand(0,300))}ms forwards`;
-        burst.appendChild(dot);
-      }
-      root.appendChild(burst);
-      // fade and remove
-      setTimeout(()=>{ burst.style.transition='opacity 800ms'; burst.style.opacity='0'; setTimeout(()=>burst.remove(),900); }, 900 + Math.random()*800);
-    }
-  }
-
   /* ====================================================================== */
   /* Scroll-triggered reveals using IntersectionObserver                     */
   /* ====================================================================== */
@@ -429,36 +2520,498 @@
       s.style.position='absolute'; s.style.borderRadius='50%'; s.style.opacity=0.12; s.style.pointerEvents='none';
       s.style.width = rand(160,360) + 'px'; s.style.height = rand(160,360) + 'px';
       s.style.left = rand(2,86) + '%'; s.style.top = rand(4,86) + '%';
-      s.style.background = `radial-gradient(circle at 30% 30%, rgba(255,111,145,0.16), transparent 30%)`;
+      s.style.background = `radial-gradient(circle at 30% 30%, rgba(var(--accent-rgb),0.16), transparent 30%)`; // follows the palette
       root.appendChild(s);
-      // float animation
-      s.animate([{transform:'translateY(0)'},{transform:`translateY(${rand(-40,40)}px)`},{transform:'translateY(0)'}],{duration:6000+rand(0,8000),iterations:Infinity,easing:'ease-in-out'});
+      // float animation (held still in calm mode, see applyMotion)
+      const drift = s.animate([{transform:'translateY(0)'},{transform:`translateY(${rand(-40,40)}px)`},{transform:'translateY(0)'}],{duration:6000+rand(0,8000),iterations:Infinity,easing:'ease-in-out'});
+      ambientAnimations.push(drift);
+      if(isCalm()) drift.pause();
     }
   })();
 
   /* ====================================================================== */
-  /* Accessibility: ensure keyboard users can navigate gallery and sections  */
+  /* Share links: keep the payload while navigating, "create your own"      */
+  /* ====================================================================== */
+  // In-page links would replace "#share=…" (and lose it on reload), so while a
+  // payload is active they scroll to their target instead of changing the fragment.
+  if(sharePayload){
+    document.addEventListener('click', (e)=>{
+      const a = e.target.closest && e.target.closest('a[href^="#"]');
+      const id = a ? a.getAttribute('href').slice(1) : '';
+      const target = id && document.getElementById(id);
+      if(!target) return;
+      e.preventDefault();
+      target.scrollIntoView({behavior: isCalm() ? 'auto' : 'smooth'});
+      if(target.hasAttribute('tabindex')) target.focus({preventScroll: true});
+    });
+  }
+
+  let builderOpener = null;
+
+  function openBuilder(){
+    const f = dom.builderForm.elements;
+    if(!f.theme.options.length){
+      fillThemeSelect(f.theme, CONFIG.palettes);
+      fillThemeSelect(f.occasion, CONFIG.occasions);
+    }
+    f.theme.value = currentPalette();
+    f.occasion.value = currentOccasionKey();
+    if(!f.recipient.value) f.recipient.value = CONTENT.recipient.name;
+    builderOpener = document.activeElement;
+    dom.shareBuilder.setAttribute('aria-hidden', 'false');
+    f.recipient.focus();
+    const release = trapFocus(dom.shareBuilder);
+    function escClose(e){ if(e.key === 'Escape') closeBuilder(); }
+    document.addEventListener('keydown', escClose);
+    dom.shareBuilder._cleanup = ()=>{ release(); document.removeEventListener('keydown', escClose); dom.shareBuilder._cleanup = null; };
+  }
+
+  function closeBuilder(){
+    dom.shareBuilder.setAttribute('aria-hidden', 'true');
+    dom.shareBuilder._cleanup && dom.shareBuilder._cleanup();
+    if(builderOpener && builderOpener.focus) builderOpener.focus();
+  }
+
+  // Only the fields that were filled in go into the link.
+  function buildShareLink(form){
+    const f = form.elements;
+    const payload = {};
+    [['r', f.recipient], ['s', f.sender], ['l', f.letter], ['h', f.hint]].forEach(([key, field])=>{ if(field.value.trim()) payload[key] = field.value.trim(); });
+    payload.t = f.theme.value;
+    payload.o = f.occasion.value;
+    return window.location.href.split('#')[0] + '#share=' + encodeShare(payload);
+  }
+
+  if(dom.shareBuilder){
+    dom.openBuilderBtn.addEventListener('click', openBuilder);
+    dom.shareBuilder.querySelector('.modal-close').addEventListener('click', closeBuilder);
+    dom.shareBuilder.addEventListener('click', (e)=>{ if(e.target === dom.shareBuilder) closeBuilder(); });
+    dom.builderForm.addEventListener('submit', (e)=>{
+      e.preventDefault();
+      const link = buildShareLink(dom.builderForm);
+      dom.builderLink.value = link;
+      dom.builderOpen.href = link;
+      dom.builderStatus.textContent = `${link.length} characters — anyone with this link sees your version.`;
+      dom.builderResult.hidden = false;
+      dom.builderLink.focus(); dom.builderLink.select();
+    });
+    dom.builderCopy.addEventListener('click', ()=>{
+      const done = ()=>{ dom.builderStatus.textContent = 'Copied! 💌'; };
+      const manual = ()=>{ dom.builderLink.select(); dom.builderStatus.textContent = 'Press Ctrl+C (⌘C) to copy the selected link.'; };
+      if(navigator.clipboard && navigator.clipboard.writeText) navigator.clipboard.writeText(dom.builderLink.value).then(done, manual);
+      else manual();
+    });
+  }
+
+  /* ====================================================================== */
+  /* Keepsake: a printable page and a PNG greeting card, all offline         */
   /* ====================================================================== */
-  // Add tabindex to timeline cards for keyboard activation
-  document.querySelectorAll('.timeline-card').forEach(c=>{ c.setAttribute('tabindex','0'); c.addEventListener('keydown', (e)=>{ if(e.key==='Enter') c.click(); }); });
+  // "Print" uses print.css (the letter in full, every milestone opened, the chosen
+  // photos). "Save a card" draws the card on a canvas and downloads it as a PNG;
+  // a photo from another site without CORS headers taints the canvas, so the card
+  // is then drawn again without it.
+  const KEEPSAKE_CARD = {width: 1200, height: 630};
+
+  // content.keepsake.photos, or the first few images from the gallery
+  function keepsakePhotos(){
+    const picked = CONTENT.keepsake && CONTENT.keepsake.photos;
+    if(picked) return picked;
+    return photos.map((ph, i)=> ph.type === 'image' ? i : -1).filter(i=> i >= 0).slice(0, 4);
+  }
+
+  function markKeepsakePhotos(){
+    const picked = keepsakePhotos();
+    document.querySelectorAll('#gallery .photo').forEach((fig, i)=> fig.classList.toggle('keepsake-photo', picked.includes(i)));
+  }
+
+  // Resolves to a loaded <img>, or null when the photo is missing or too slow.
+  function loadCardPhoto(src){
+    return new Promise(resolve=>{
+      const img = new Image();
+      const timer = setTimeout(()=> resolve(null), 4000);
+      img.crossOrigin = 'anonymous';
+      img.onload = ()=>{ clearTimeout(timer); resolve(img); };
+      img.onerror = ()=>{ clearTimeout(timer); resolve(null); };
+      img.src = src;
+    });
+  }
+
+  function wrapLines(ctx, text, maxWidth, maxLines){
+    const lines = [];
+    let line = '';
+    text.split(/\s+/).forEach(word=>{
+      const test = line ? line + ' ' + word : word;
+      if(ctx.measureText(test).width > maxWidth && line){ lines.push(line); line = word; }
+      else line = test;
+    });
+    if(line) lines.push(line);
+    if(lines.length > maxLines){ lines.length = maxLines; lines[maxLines - 1] = lines[maxLines - 1].replace(/\s*\S*$/, '') + '…'; }
+    return lines;
+  }
+
+  function drawCard(canvas, photo){
+    const {width: w, height: h} = KEEPSAKE_CARD;
+    const ctx = canvas.getContext('2d');
+    const accent = themeVar('--color-accent') || '#ff6f91';
+    const bg = ctx.createLinearGradient(0, 0, w, h);
+    bg.addColorStop(0, `rgb(${themeVar('--warm-rgb') || '255,241,201'})`);
+    bg.addColorStop(1, `rgb(${themeVar('--accent-rgb') || '255,111,145'})`);
+    ctx.fillStyle = bg; ctx.fillRect(0, 0, w, h);
+
+    // left: the photo (cover-cropped), or a big heart when there is none
+    const pw = 460, pad = 40;
+    ctx.save();
+    ctx.beginPath(); ctx.rect(pad, pad, pw, h - pad * 2); ctx.clip();
+    if(photo){
+      const scale = Math.max(pw / photo.naturalWidth, (h - pad * 2) / photo.naturalHeight);
+      const dw = photo.naturalWidth * scale, dh = photo.naturalHeight * scale;
+      ctx.drawImage(photo, pad + (pw - dw) / 2, pad + (h - pad * 2 - dh) / 2, dw, dh);
+    } else {
+      ctx.fillStyle = 'rgba(255,255,255,0.35)'; ctx.fillRect(pad, pad, pw, h - pad * 2);
+      ctx.font = '180px serif'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+      ctx.fillText(occasion().heart, pad + pw / 2, h / 2);
+    }
+    ctx.restore();
+
+    // right: who it's for, the message, the best score and the signature
+    const x = pad + pw + 56, maxW = w - x - pad;
+    ctx.textAlign = 'left'; ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = '#3b2b36';
+    ctx.font = '600 26px system-ui, -apple-system, "Segoe UI", sans-serif';
+    ctx.fillText(occasion().title.toUpperCase(), x, 118);
+    ctx.font = 'bold 64px Georgia, "Times New Roman", serif';
+    ctx.fillStyle = accent;
+    ctx.fillText(`For ${CONTENT.recipient.name}`, x, 196, maxW);
+    ctx.fillStyle = '#3b2b36';
+    ctx.font = 'italic 30px Georgia, "Times New Roman", serif';
+    const message = (CONTENT.keepsake && CONTENT.keepsake.message) || finalCopy().lead;
+    wrapLines(ctx, message, maxW, 5).forEach((line, i)=> ctx.fillText(line, x, 262 + i * 42));
+    ctx.font = '600 24px system-ui, -apple-system, "Segoe UI", sans-serif';
+    if(progress.bestScore) ctx.fillText(`${occasion().heart} Best score in the heart game: ${progress.bestScore}`, x, h - 118, maxW);
+    ctx.font = '28px "Segoe Script", "Bradley Hand", "Brush Script MT", cursive';
+    ctx.fillText(`— ${CONTENT.sender.name}`, x, h - 64, maxW);
+  }
+
+  // toBlob throws a SecurityError on a tainted canvas (and some browsers pass null instead).
+  function canvasToPng(canvas){
+    return new Promise((resolve, reject)=>{
+      try{ canvas.toBlob(blob=> blob ? resolve(blob) : reject(new Error('The card could not be encoded')), 'image/png'); }
+      catch(err){ reject(err); }
+    });
+  }
+
+  async function saveKeepsakeCard(){
+    dom.saveCardBtn.disabled = true;
+    dom.keepsakeStatus.textContent = 'Drawing your card…';
+    try{
+      const canvas = createEl('canvas', {width: KEEPSAKE_CARD.width, height: KEEPSAKE_CARD.height});
+      const first = photos[keepsakePhotos()[0]];
+      const photo = first && first.type === 'image' ? await loadCardPhoto(first.src) : null;
+      drawCard(canvas, photo);
+      let blob, note = '';
+      try{ blob = await canvasToPng(canvas); }
+      catch(err){
+        if(!photo) throw err;
+        drawCard(canvas, null);
+        blob = await canvasToPng(canvas);
+        note = ' (the photo is hosted elsewhere and couldn’t be included)';
+      }
+      const url = URL.createObjectURL(blob);
+      const link = createEl('a', {href: url, download: `for-${CONTENT.recipient.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'you'}.png`});
+      document.body.appendChild(link); link.click(); link.remove();
+      setTimeout(()=> URL.revokeObjectURL(url), 10000);
+      dom.keepsakeStatus.textContent = `Your card is saved${note} 💌`;
+    } catch(err){
+      console.error('Keepsake card failed:', err);
+      dom.keepsakeStatus.textContent = 'The card couldn’t be made in this browser — try printing instead.';
+    } finally {
+      dom.saveCardBtn.disabled = false;
+    }
+  }
+
+  // the printed page is dated, whether it's printed from the button or the browser menu
+  window.addEventListener('beforeprint', ()=>{ if(dom.keepsakeDate) dom.keepsakeDate.textContent = new Date().toLocaleDateString(undefined, {dateStyle: 'long'}); });
+
+  if(dom.printKeepsakeBtn){
+    markKeepsakePhotos();
+    dom.printKeepsakeBtn.addEventListener('click', ()=> window.print());
+    dom.saveCardBtn.addEventListener('click', saveKeepsakeCard);
+  }
+
+  /* ====================================================================== */
+  /* Start over: forget saved progress and reload fresh                      */
+  /* ====================================================================== */
+  const startOverBtn = document.getElementById('start-over');
+  startOverBtn && startOverBtn.addEventListener('click', ()=>{
+    if(!window.confirm('Start over? The letter, game score, surprise and opened memories will be reset.')) return;
+    clearProgress();
+    window.location.reload();
+  });
+
+  /* ====================================================================== */
+  /* Countdown gate: sections stay locked until content.countdown.unlockAt  */
+  /* ====================================================================== */
+  // unlockAt is a wall-clock time ("2026-10-20T00:00") in countdown.timeZone (an IANA
+  // zone; the visitor's own zone if omitted), or a full ISO string with an offset.
+  // A time the clocks skip (spring forward) opens the moment they jump.
+  // Until then the hero shows a countdown and the locked sections are hidden; at zero
+  // the entrance plays as if the page had just opened. "?preview" skips the gate.
+  const LOCKED_SECTIONS = ['story', 'gallery', 'letter', 'surprise', 'wishes', 'final'];
+  const gate = {locked: false, unlockAt: 0, timer: null, last: {}};
+
+  // The zone's UTC offset (ms) at the instant `utc`.
+  function zoneOffset(utc, timeZone){
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'})
+      .formatToParts(new Date(utc)).forEach(p=>{ parts[p.type] = p.value; });
+    return Date.UTC(+parts.year, parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second) - Math.floor(utc / 1000) * 1000;
+  }
+
+  // Epoch ms for the countdown's unlock moment (NaN when it can't be read).
+  function countdownTarget(cd){
+    const m = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(cd.unlockAt);
+    if(!m) return Date.parse(cd.unlockAt); // carries its own offset
+    const f = [+m[1], m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0)];
+    if(!cd.timeZone) return new Date(...f).getTime();
+    const wall = Date.UTC(...f);
+    // guess with the offset at the wall time, then again at the guess (settles DST edges)
+    const first = wall - zoneOffset(wall, cd.timeZone);
+    const utc = wall - zoneOffset(first, cd.timeZone);
+    if(utc + zoneOffset(utc, cd.timeZone) === wall) return utc;
+    // the wall time falls in a spring-forward gap: open at the first instant after it,
+    // the changeover itself, found to the second between the two guesses
+    let lo = Math.min(first, utc) / 1000, hi = Math.max(first, utc) / 1000;
+    const before = zoneOffset(lo * 1000, cd.timeZone);
+    while(hi - lo > 1){
+      const mid = Math.floor((lo + hi) / 2);
+      if(zoneOffset(mid * 1000, cd.timeZone) === before) lo = mid; else hi = mid;
+    }
+    return hi * 1000;
+  }
+
+  function setSectionsLocked(locked){
+    LOCKED_SECTIONS.forEach(id=>{
+      const sec = document.getElementById(id);
+      if(sec){ sec.classList.toggle('is-locked', locked); sec.inert = locked; }
+      const link = document.querySelector(`.nav-list a[href="#${id}"]`);
+      if(link) link.parentElement.hidden = locked;
+    });
+    document.body.classList.toggle('gated', locked);
+    dom.countdown.hidden = !locked;
+  }
+
+  function renderCountdown(){
+    const left = Math.max(0, gate.unlockAt - Date.now());
+    const sec = Math.ceil(left / 1000);
+    const values = {days: Math.floor(sec / 86400), hours: Math.floor(sec / 3600) % 24, minutes: Math.floor(sec / 60) % 60, seconds: sec % 60};
+    Object.keys(values).forEach(unit=>{
+      const el = dom.countdown.querySelector(`[data-unit="${unit}"]`);
+      const text = String(values[unit]).padStart(2, '0');
+      if(!el || gate.last[unit] === text) return;
+      gate.last[unit] = text;
+      el.textContent = text;
+      // restart the flip animation on the digits that changed
+      el.classList.remove('tick'); void el.offsetWidth; el.classList.add('tick');
+    });
+    return left;
+  }
+
+  function tickCountdown(){
+    if(renderCountdown() <= 0){ unlockGate(); return; }
+    // wake on the next whole second
+    gate.timer = setTimeout(tickCountdown, 1000 - (Date.now() % 1000) + 20);
+  }
+
+  function unlockGate(){
+    if(!gate.locked) return;
+    gate.locked = false;
+    clearTimeout(gate.timer);
+    setSectionsLocked(false);
+    resumeTyping();
+    playEntrance();
+    replayTimeline();
+    triggerFireworks();
+  }
+
+  (function setupGate(){
+    const cd = CONTENT.countdown;
+    if(!cd || !dom.countdown) return;
+    gate.unlockAt = countdownTarget(cd);
+    if(!(gate.unlockAt > Date.now())) return;
+    if(new URLSearchParams(window.location.search).has('preview')){
+      dom.previewBadge.hidden = false;
+      dom.previewBadge.textContent = `Preview — visitors see a countdown until ${new Date(gate.unlockAt).toLocaleString()}`;
+      return;
+    }
+    gate.locked = true;
+    setSectionsLocked(true);
+    dom.countdownWhen.textContent = new Date(gate.unlockAt).toLocaleString(undefined, {dateStyle: 'full', timeStyle: 'short'});
+    // nothing types behind the curtain
+    pauseTyping();
+    tickCountdown();
+  })();
+
+  // a tab left in the background: catch up as soon as it's visible again
+  onPageVisibility(()=>{}, ()=>{ if(gate.locked){ clearTimeout(gate.timer); tickCountdown(); } });
 
   /* ====================================================================== */
   /* Final small polish: when page loads, choreograph a small entrance       */
   /* ====================================================================== */
-  window.addEventListener('load', ()=>{
+  function playEntrance(){
     // gently reveal the first timeline card
     setTimeout(()=>{ if(dom.timelineItems[0]) dom.timelineItems[0].classList.add('revealed'); }, 700);
     // brief sparkle in hero
     tinyHeartBurst(6, document.querySelector('.hero-content'));
-  });
+  }
+
+  // behind the countdown gate the entrance waits for unlockGate()
+  window.addEventListener('load', ()=>{ if(!gate.locked) playEntrance(); });
 
   /* ====================================================================== */
   /* Exported for potential debugging (avoid polluting window in prod)      */
   /* ====================================================================== */
   window.__birthday = {
-    openModal, closeModal, showNextPhoto, showPrevPhoto, replayTimeline, startGame, stopGame, triggerConfetti, triggerFireworks
+    openModal, closeModal, showNextPhoto, showPrevPhoto, startSlideshow, stopSlideshow, pauseSlideshow, resumeSlideshow, enableAudio, setMuted, replayTimeline,
+    pauseLetter: pauseTyping, resumeLetter: resumeTyping, replayLetter, isLetterDone: letterDone, isSurpriseUnlocked: ()=> progress.surprise.unlocked,
+    startGame, stopGame, resetGame, triggerConfetti, triggerFireworks
   };
 
+  /* ====================================================================== */
+  /* Guided show: a director that plays the sections in order                */
+  /* ====================================================================== */
+  // Built only on window.__birthday, like an outside script would be. Each step scrolls
+  // to its section, starts what belongs there and moves on after its duration
+  // (content.js show.durations, else CONFIG.director.durations; 0 = wait for the
+  // visitor), or earlier once `done()` says so and minDwell has passed.
+  // Keys while the show runs: n next, p previous, k pause/resume, Esc stop.
+  const api = window.__birthday;
+  const SHOW_STEPS = [
+    {id: 'intro'},
+    {id: 'story', enter(){ api.replayTimeline(); }},
+    {id: 'gallery', enter(){ api.startSlideshow(0); }, leave(){ api.closeModal(); }, pause(){ api.pauseSlideshow(); }, resume(){ api.resumeSlideshow(); }},
+    // a letter finished on an earlier visit is typed again: it is the centrepiece
+    {id: 'letter', enter(){ if(api.isLetterDone()) api.replayLetter(); else api.resumeLetter(); }, done: ()=> api.isLetterDone(), pause(){ api.pauseLetter(); }, resume(){ api.resumeLetter(); }},
+    {id: 'games', prompt: 'Your turn — press “Start Game” and catch some hearts 💖'},
+    {id: 'surprise', prompt: 'Solve the surprise to continue 🔐', done: ()=> api.isSurpriseUnlocked()},
+    {id: 'wishes'},
+    {id: 'final', enter(){ api.triggerFireworks(); }},
+  ];
+  const director = {active: false, paused: false, index: 0, steps: [], elapsed: 0, startedAt: 0, timer: null};
+
+  function stepLabel(step){
+    const link = document.querySelector(`.nav-list a[href="#${step.id}"]`);
+    return link ? link.textContent : 'Welcome';
+  }
+
+  const showDurations = {...CONFIG.director.durations, ...((CONTENT.show || {}).durations || {})};
+  function stepDuration(step){ const d = showDurations[step.id]; return typeof d === 'number' ? d : 0; }
+
+  function stepElapsed(){ return director.elapsed + (director.paused ? 0 : performance.now() - director.startedAt); }
+
+  function updateDirectorBar(){
+    const step = director.steps[director.index];
+    dom.directorStep.textContent = `${director.index + 1}/${director.steps.length} · ${stepLabel(step)}${step.prompt ? ' — ' + step.prompt : ''}`;
+    dom.directorPlay.textContent = director.paused ? '▶' : '❚❚';
+    dom.directorPlay.setAttribute('aria-label', director.paused ? 'Resume the show' : 'Pause the show');
+    dom.directorPrev.disabled = director.index === 0;
+    dom.directorNext.disabled = director.index === director.steps.length - 1;
+  }
+
+  function directorTick(){
+    const step = director.steps[director.index];
+    const duration = stepDuration(step);
+    const elapsed = stepElapsed();
+    dom.directorProgress.style.width = duration ? (clamp(elapsed / duration, 0, 1) * 100) + '%' : '0%';
+    if(director.paused) return;
+    const finished = step.done && step.done() && elapsed >= CONFIG.director.minDwell;
+    if(finished || (duration && elapsed >= duration)){
+      if(director.index < director.steps.length - 1) goToStep(director.index + 1);
+      else stopShow(); // the last step ends the show
+    }
+  }
+
+  function goToStep(index){
+    const from = director.steps[director.index];
+    if(director.active && from && from.leave) from.leave();
+    director.index = clamp(index, 0, director.steps.length - 1);
+    director.elapsed = 0; director.startedAt = performance.now(); director.paused = false;
+    const step = director.steps[director.index];
+    const section = document.getElementById(step.id);
+    section && section.scrollIntoView({behavior: isCalm() ? 'auto' : 'smooth'});
+    dom.startGameBtn.classList.toggle('director-prompt', step.id === 'games');
+    if(step.enter) step.enter();
+    updateDirectorBar();
+  }
+
+  function playShow(){
+    // sections that are switched off (e.g. no wishes source) or behind the countdown gate are left out
+    director.steps = SHOW_STEPS.filter(step=>{ const section = document.getElementById(step.id); return section && !section.hidden && !section.classList.contains('is-locked'); });
+    director.index = 0;
+    director.active = true;
+    api.enableAudio();
+    dom.director.hidden = false;
+    document.body.classList.add('show-playing');
+    goToStep(0);
+    clearInterval(director.timer);
+    director.timer = setInterval(directorTick, 250);
+  }
+
+  function pauseShow(){
+    if(!director.active || director.paused) return;
+    director.elapsed = stepElapsed(); director.paused = true;
+    const step = director.steps[director.index];
+    if(step.pause) step.pause();
+    updateDirectorBar();
+  }
+
+  function resumeShow(){
+    if(!director.active || !director.paused) return;
+    director.paused = false; director.startedAt = performance.now();
+    const step = director.steps[director.index];
+    if(step.resume) step.resume();
+    updateDirectorBar();
+  }
+
+  function stopShow(){
+    if(!director.active) return;
+    const step = director.steps[director.index];
+    if(step.leave) step.leave();
+    director.active = false;
+    clearInterval(director.timer);
+    dom.startGameBtn.classList.remove('director-prompt');
+    document.body.classList.remove('show-playing');
+    dom.director.hidden = true;
+    if(dom.playShowBtn) dom.playShowBtn.focus();
+  }
+
+  if(dom.director){
+    dom.playShowBtn && dom.playShowBtn.addEventListener('click', playShow);
+    dom.directorPrev.addEventListener('click', ()=> goToStep(director.index - 1));
+    dom.directorNext.addEventListener('click', ()=> goToStep(director.index + 1));
+    dom.directorPlay.addEventListener('click', ()=>{ if(director.paused) resumeShow(); else pauseShow(); });
+    dom.directorClose.addEventListener('click', stopShow);
+    document.addEventListener('keydown', (e)=>{
+      if(!director.active || e.ctrlKey || e.metaKey || e.altKey) return;
+      // an open dialog (e.g. the gallery during its step) keeps its own Escape
+      if(e.key === 'Escape' && document.querySelector('.modal[aria-hidden="false"]')) return;
+      // typing an answer or a name must not steer the show
+      if(e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+      const key = e.key.toLowerCase();
+      if(key === 'n') goToStep(director.index + 1);
+      else if(key === 'p') goToStep(director.index - 1);
+      else if(key === 'k'){ if(director.paused) resumeShow(); else pauseShow(); }
+      else if(key === 'escape') stopShow();
+      else return;
+      e.preventDefault();
+    });
+  }
+
+  // a hidden tab holds the show where it is
+  let showPausedByHide = false;
+  onPageVisibility(()=>{ showPausedByHide = director.active && !director.paused; pauseShow(); }, ()=>{ if(showPausedByHide) resumeShow(); });
+
+  api.director = {play: playShow, pause: pauseShow, resume: resumeShow, stop: stopShow, next: ()=> goToStep(director.index + 1), prev: ()=> goToStep(director.index - 1)};
+
   /* ====================================================================== */
   /* End of script                                                         */
   /* ====================================================================== */
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/*
+  tools/encrypt-surprise.js
+  Offline helper that encrypts the hidden surprise message for content.js.
+
+  The page never stores the password or the message in readable form: it keeps
+  only the AES-GCM ciphertext below and derives the key from whatever the
+  visitor types (PBKDF2-SHA256). A wrong answer simply fails to decrypt.
+  The password is normalized first (case and whitespace don't matter), exactly
+  like the answers typed on the page.
+
+  Usage:
+    node tools/encrypt-surprise.js "<password>" "<message title>" "<message text>"
+
+  Paste the printed object into content.js as `surprise.encrypted`.
+  Requires Node 16+ (Web Crypto via require('crypto').webcrypto). No network access.
+*/
+
+'use strict';
+
+const { webcrypto } = require('crypto');
+const { normalizeAnswer } = require('./normalize-answer');
+const { subtle } = webcrypto;
+
+const ITERATIONS = 200000; // stored in the blob, so it can change without touching script.js
+
+function toBase64(bytes){ return Buffer.from(bytes).toString('base64'); }
+
+async function encrypt(password, message){
+  const enc = new TextEncoder();
+  const salt = webcrypto.getRandomValues(new Uint8Array(16));
+  const iv = webcrypto.getRandomValues(new Uint8Array(12));
+  const baseKey = await subtle.importKey('raw', enc.encode(password), 'PBKDF2', false, ['deriveKey']);
+  const key = await subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: ITERATIONS },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt']
+  );
+  const data = await subtle.encrypt({ name: 'AES-GCM', iv }, key, enc.encode(JSON.stringify(message)));
+  return { iterations: ITERATIONS, salt: toBase64(salt), iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+async function main(){
+  const [password, title, text] = process.argv.slice(2);
+  if(!password || !title || !text){
+    console.error('Usage: node tools/encrypt-surprise.js "<password>" "<message title>" "<message text>"');
+    process.exit(1);
+  }
+  const blob = await encrypt(normalizeAnswer(password), { title, text });
+  console.log('// surprise.encrypted — generated by tools/encrypt-surprise.js');
+  console.log('encrypted: ' + JSON.stringify(blob, null, 2).replace(/"(\w+)":/g, '$1:').replace(/"/g, "'") + ',');
+}
+
+main().catch((err)=>{ console.error(err); process.exit(1); });
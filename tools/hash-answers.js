@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+/*
+  tools/hash-answers.js
+  Offline helper that hashes the accepted answers of a riddle stage for content.js.
+
+  Riddle answers are stored as SHA-256 hashes of the normalized answer (see
+  normalize-answer.js), so reading content.js doesn't give the answers away.
+
+  Usage:
+    node tools/hash-answers.js "<answer>" ["<another accepted answer>" ...]
+
+  Paste the printed array into content.js as the stage's `answers`.
+*/
+
+'use strict';
+
+const { createHash } = require('crypto');
+const { normalizeAnswer } = require('./normalize-answer');
+
+function hashAnswer(answer){
+  return createHash('sha256').update(normalizeAnswer(answer), 'utf8').digest('hex');
+}
+
+function main(){
+  const answers = process.argv.slice(2).filter((a)=> a.trim());
+  if(!answers.length){
+    console.error('Usage: node tools/hash-answers.js "<answer>" ["<another accepted answer>" ...]');
+    process.exit(1);
+  }
+  // stderr, so the plain answers never end up pasted into content.js
+  console.error('Accepted (normalized): ' + answers.map((a)=> JSON.stringify(normalizeAnswer(a))).join(', '));
+  console.log('answers: [');
+  answers.forEach((a)=> console.log(`  '${hashAnswer(a)}',`));
+  console.log('],');
+}
+
+main();
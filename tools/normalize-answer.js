@@ -0,0 +1,16 @@
+/*
+  tools/normalize-answer.js
+  Shared answer normalization for the offline surprise tools.
+
+  Must stay identical to normalizeAnswer() in script.js: answers are compared
+  case-insensitively and with all whitespace removed, so "New York", "new york"
+  and " newyork " are the same answer.
+*/
+
+'use strict';
+
+function normalizeAnswer(str){
+  return String(str).normalize('NFKC').toLowerCase().replace(/\s+/g, '');
+}
+
+module.exports = { normalizeAnswer };
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/*
+  tools/wishes-server.js
+  Local mock backend for the wishes wall, for trying the 'http' wish source.
+
+  Serves the site from the repo root and a small JSON API, keeping wishes in
+  memory (seeded from wishes.json, gone when the server stops):
+    GET   /api/wishes        approved wishes, newest first (?all=1 includes the rest)
+    POST  /api/wishes        {name, text, photo?} -> the stored wish
+    PATCH /api/wishes/<id>   {status} to moderate: approved | pending | hidden
+
+  New wishes start as 'pending' unless --auto-approve is given. Input is checked
+  like the page does it: markup stripped, lengths limited (keep LIMITS in step
+  with CONFIG.wishes in script.js), photos only as http(s) or relative links.
+
+  Usage:
+    node tools/wishes-server.js [--port 8787] [--auto-approve]
+
+  Then set content.js `wishes: { source: 'http', url: 'http://localhost:8787/api/wishes' }`
+  and open http://localhost:8787/. No dependencies; not meant for the open internet.
+*/
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const LIMITS = { maxName: 40, maxText: 280, maxPhoto: 500, maxBody: 16 * 1024 };
+const STATUSES = ['approved', 'pending', 'hidden'];
+const TYPES = { '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8', '.svg': 'image/svg+xml', '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp', '.gif': 'image/gif', '.mp3': 'audio/mpeg', '.mp4': 'video/mp4' };
+
+function option(name, fallback){
+  const i = process.argv.indexOf(name);
+  return i === -1 ? fallback : process.argv[i + 1];
+}
+
+const PORT = Number(option('--port', 8787));
+const AUTO_APPROVE = process.argv.includes('--auto-approve');
+
+// Tags out, a few common entities decoded, whitespace tidied (the page renders text only anyway).
+function plainText(value){
+  return String(value)
+    .replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+    .replace(/\r\n?/g, '\n').replace(/[^\S\n]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function safePhotoUrl(value){
+  const raw = typeof value === 'string' ? value.trim() : '';
+  if(!raw || raw.length > LIMITS.maxPhoto) return '';
+  if(!/^[a-z][a-z0-9+.-]*:/i.test(raw) && !raw.startsWith('//')) return raw;
+  try{ return /^https?:$/.test(new URL(raw).protocol) ? raw : ''; } catch(err){ return ''; }
+}
+
+function loadSeed(){
+  try{
+    const list = JSON.parse(fs.readFileSync(path.join(ROOT, 'wishes.json'), 'utf8'));
+    return Array.isArray(list) ? list.map((w, i)=> ({ id: String(w.id || `seed-${i + 1}`), createdAt: 0, status: 'approved', ...w })) : [];
+  } catch(err){
+    console.warn('No usable wishes.json, starting empty:', err.message);
+    return [];
+  }
+}
+
+const wishes = loadSeed();
+let nextId = 1;
+
+function send(res, status, body){
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    // the page may be opened from another port or straight from disk
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Accept',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readJson(req){
+  return new Promise((resolve, reject)=>{
+    let size = 0; const chunks = [];
+    req.on('data', (chunk)=>{
+      size += chunk.length;
+      if(size > LIMITS.maxBody){ reject(Object.assign(new Error('Request body too large'), { status: 413 })); req.destroy(); return; }
+      chunks.push(chunk);
+    });
+    req.on('end', ()=>{
+      try{ resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}')); }
+      catch(err){ reject(Object.assign(new Error('Body must be JSON'), { status: 400 })); }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Returns {wish} or {error}.
+function checkWish(body){
+  if(!body || typeof body !== 'object' || Array.isArray(body)) return { error: 'body must be a JSON object' };
+  const name = plainText(body.name || ''), text = plainText(body.text || '');
+  if(!name || !text) return { error: 'name and text are required' };
+  if(name.length > LIMITS.maxName) return { error: `name is longer than ${LIMITS.maxName} characters` };
+  if(text.length > LIMITS.maxText) return { error: `text is longer than ${LIMITS.maxText} characters` };
+  const photo = body.photo ? safePhotoUrl(body.photo) : '';
+  if(body.photo && !photo) return { error: 'photo must be an http(s) or relative link' };
+  const wish = { id: `w${Date.now().toString(36)}-${nextId++}`, name, text, status: AUTO_APPROVE ? 'approved' : 'pending', createdAt: Date.now() };
+  if(photo) wish.photo = photo;
+  return { wish };
+}
+
+async function handleApi(req, res, url){
+  const m = /^\/api\/wishes(?:\/([\w-]+))?\/?$/.exec(url.pathname);
+  if(!m) return send(res, 404, { error: 'Not found' });
+  if(req.method === 'OPTIONS') return send(res, 204);
+  if(!m[1] && req.method === 'GET'){
+    const all = url.searchParams.has('all');
+    return send(res, 200, wishes.filter((w)=> all || w.status === 'approved').sort((a, b)=> b.createdAt - a.createdAt));
+  }
+  if(!m[1] && req.method === 'POST'){
+    const checked = checkWish(await readJson(req));
+    if(checked.error) return send(res, 422, { error: checked.error });
+    wishes.push(checked.wish);
+    console.log(`+ ${checked.wish.status} wish ${checked.wish.id} from ${checked.wish.name}`);
+    return send(res, 201, checked.wish);
+  }
+  if(m[1] && req.method === 'PATCH'){
+    const wish = wishes.find((w)=> w.id === m[1]);
+    if(!wish) return send(res, 404, { error: 'No such wish' });
+    const body = await readJson(req);
+    if(!body || typeof body !== 'object' || Array.isArray(body)) return send(res, 422, { error: 'body must be a JSON object' });
+    if(!STATUSES.includes(body.status)) return send(res, 422, { error: `status must be one of: ${STATUSES.join(', ')}` });
+    wish.status = body.status;
+    return send(res, 200, wish);
+  }
+  return send(res, 405, { error: 'Method not allowed' });
+}
+
+function serveFile(req, res, url){
+  let file;
+  try{ file = path.resolve(ROOT, '.' + decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname)); }
+  catch(err){ res.writeHead(400); res.end(); return; }
+  // stay inside the repo, and keep git internals out
+  if(!file.startsWith(ROOT + path.sep) || file.includes(`${path.sep}.git`)){ res.writeHead(403); res.end(); return; }
+  fs.readFile(file, (err, data)=>{
+    if(err){ res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }); res.end('Not found'); return; }
+    res.writeHead(200, { 'Content-Type': TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+const server = http.createServer((req, res)=>{
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  if(!url.pathname.startsWith('/api/')) return serveFile(req, res, url);
+  handleApi(req, res, url).catch((err)=>{
+    // only our own errors (with a status) are worth showing; anything else stays in the log
+    if(err.status) return send(res, err.status, { error: err.message });
+    console.error(err);
+    send(res, 500, { error: 'Internal server error' });
+  });
+});
+
+server.listen(PORT, ()=>{
+  console.log(`Wishes mock server on http://localhost:${PORT}/ (${wishes.length} seeded, ${AUTO_APPROVE ? 'auto-approve' : 'new wishes wait for approval'})`);
+});